@@ -0,0 +1,241 @@
+// Category Registry - easel prefix -> display name -> marker color -> text color
+class CategoryRegistry {
+    constructor(config) {
+        this.entries = new Map();
+        this.autoEntries = new Map();
+        this.defaultColor = '#404040';
+        this.palette = ['#1F77B4', '#9467BD', '#8C564B', '#E377C2', '#17BECF', '#BCBD22', '#2CA02C', '#D62728'];
+        // Okabe-Ito colors, told apart with the common kinds of color blindness
+        this.safePalette = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'];
+        this.colorSafe = false; // Color-blind safe colors plus a pattern per category, see setColorSafe()
+        this.placeholderBoards = new Set(['Unassigned', 'N/A']);
+        this.ready = Promise.resolve(this);
+
+        if (config) {
+            this.configure(config);
+        }
+    }
+
+    /**
+     * Load the registry from a JSON data file (see data/categories.json)
+     * @param {string} url - URL to the category data file
+     * @returns {Promise<CategoryRegistry>} Resolves once loaded; unknown prefixes still get palette colors if loading fails
+     */
+    load(url) {
+        this.ready = fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(config => {
+                this.configure(config);
+                return this;
+            })
+            .catch(error => {
+                console.error(`Error loading categories from ${url}:`, error);
+                return this;
+            });
+
+        return this.ready;
+    }
+
+    /**
+     * Replace the registry contents
+     * @param {Object} config
+     * @param {Array} config.categories - [{ prefix, name, color, textColor, safeColor, safeTextColor, pattern }];
+     *                                      the safe* fields and the pattern (one of CategoryRegistry.PATTERNS)
+     *                                      are used in color-blind safe mode
+     * @param {Array} [config.palette] - Colors handed out to prefixes missing from the file
+     * @param {Array} [config.safePalette] - The same in color-blind safe mode
+     * @param {string} [config.defaultColor] - Color for missing/placeholder easel boards
+     */
+    configure(config = {}) {
+        if (config.defaultColor) {
+            this.defaultColor = config.defaultColor;
+        }
+        if (Array.isArray(config.palette) && config.palette.length > 0) {
+            this.palette = config.palette.slice();
+        }
+        if (Array.isArray(config.safePalette) && config.safePalette.length > 0) {
+            this.safePalette = config.safePalette.slice();
+        }
+
+        this.entries.clear();
+        this.autoEntries.clear();
+
+        (config.categories || []).forEach(category => {
+            if (!category || !category.prefix) {
+                return;
+            }
+            const color = category.color || this.defaultColor;
+            const safeColor = category.safeColor || this.getPaletteColor(this.safePalette, category.prefix);
+            const entry = {
+                prefix: category.prefix,
+                name: category.name || category.prefix,
+                auto: false,
+                schemes: {
+                    standard: { color, textColor: category.textColor || this.getContrastColor(color), pattern: 'solid' },
+                    safe: {
+                        color: safeColor,
+                        textColor: category.safeTextColor || this.getContrastColor(safeColor),
+                        pattern: CategoryRegistry.PATTERNS.includes(category.pattern) ? category.pattern : 'solid'
+                    }
+                }
+            };
+            this.entries.set(category.prefix, this.applyScheme(entry));
+        });
+    }
+
+    /**
+     * Switch every category between its standard colors and its color-blind safe colors and pattern
+     * @param {boolean} enabled
+     */
+    setColorSafe(enabled) {
+        this.colorSafe = Boolean(enabled);
+        this.entries.forEach(entry => this.applyScheme(entry));
+        this.autoEntries.clear();
+    }
+
+    /**
+     * Copy the current scheme's color, textColor and pattern onto an entry
+     */
+    applyScheme(entry) {
+        return Object.assign(entry, entry.schemes[this.colorSafe ? 'safe' : 'standard']);
+    }
+
+    /**
+     * Extract the prefix from an easel board, e.g. 'CSEP-1' -> 'CSEP'
+     */
+    getPrefix(easelBoard) {
+        return (easelBoard || '').split('-')[0].trim();
+    }
+
+    /**
+     * Look up the category for an easel board. Prefixes missing from the data file
+     * get a stable color from the palette so new boards still render distinctly.
+     * @param {string} easelBoard - e.g. 'B-1' or 'CSEP-2'
+     * @returns {Object} { prefix, name, color, textColor, auto }
+     */
+    getCategory(easelBoard) {
+        const prefix = this.getPrefix(easelBoard);
+
+        if (!prefix || this.placeholderBoards.has(easelBoard)) {
+            return {
+                prefix: '',
+                name: '',
+                color: this.defaultColor,
+                textColor: this.getContrastColor(this.defaultColor),
+                pattern: 'solid',
+                auto: false
+            };
+        }
+
+        if (this.entries.has(prefix)) {
+            return this.entries.get(prefix);
+        }
+
+        if (!this.autoEntries.has(prefix)) {
+            const color = this.getPaletteColor(this.colorSafe ? this.safePalette : this.palette, prefix);
+            const patterns = CategoryRegistry.PATTERNS;
+            this.autoEntries.set(prefix, {
+                prefix,
+                name: prefix,
+                color,
+                textColor: this.getContrastColor(color),
+                pattern: this.colorSafe ? patterns[this.hashPrefix(prefix) % patterns.length] : 'solid',
+                auto: true
+            });
+        }
+
+        return this.autoEntries.get(prefix);
+    }
+
+    getColor(easelBoard) {
+        return this.getCategory(easelBoard).color;
+    }
+
+    getTextColor(easelBoard) {
+        return this.getCategory(easelBoard).textColor;
+    }
+
+    /**
+     * Pattern drawn over the marker color, 'solid' unless color-blind safe mode is on
+     */
+    getPattern(easelBoard) {
+        return this.getCategory(easelBoard).pattern;
+    }
+
+    getPaletteColor(palette, prefix) {
+        return palette[this.hashPrefix(prefix) % palette.length];
+    }
+
+    /**
+     * Find a category by its display name (case and punctuation insensitive)
+     * @returns {Object|null}
+     */
+    getCategoryByName(name) {
+        const key = this.normalizeName(name);
+        if (!key) return null;
+
+        for (const entry of this.entries.values()) {
+            if (this.normalizeName(entry.name) === key) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    getAllCategories() {
+        return Array.from(this.entries.values());
+    }
+
+    normalizeName(name) {
+        return (name || '').toLowerCase().replace(/[,&]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Pick black or white text for a background color using WCAG relative luminance
+     * @param {string} backgroundColor - Hex color, e.g. '#87CEEB'
+     * @returns {string} 'black' or 'white'
+     */
+    getContrastColor(backgroundColor) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(backgroundColor || '');
+        if (!match) return 'white';
+
+        let hex = match[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(char => char + char).join('');
+        }
+
+        const channels = [0, 2, 4].map(offset => {
+            const value = parseInt(hex.substr(offset, 2), 16) / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        const luminance = 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+
+        // Contrast against black is (L + 0.05) / 0.05, against white 1.05 / (L + 0.05)
+        return (luminance + 0.05) / 0.05 > 1.05 / (luminance + 0.05) ? 'black' : 'white';
+    }
+
+    hashPrefix(prefix) {
+        let hash = 0;
+        for (let i = 0; i < prefix.length; i++) {
+            hash = (hash * 31 + prefix.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+}
+
+// Patterns a category can be drawn with in color-blind safe mode (see LayoutAPI.getPatternTile)
+CategoryRegistry.PATTERNS = ['solid', 'dots', 'stripes', 'backslash', 'horizontal', 'vertical', 'crosshatch', 'checker'];
+
+// Make CategoryRegistry available globally, with one shared instance for the map and table
+if (typeof window !== 'undefined') {
+    window.CategoryRegistry = CategoryRegistry;
+    window.categoryRegistry = window.categoryRegistry || new CategoryRegistry();
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryRegistry;
+}
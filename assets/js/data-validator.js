@@ -0,0 +1,150 @@
+// Data Validator - consistency checks for the poster and mount data files
+class DataValidator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width] - Map viewBox width mounts must fit in
+     * @param {number} [options.height] - Map viewBox height mounts must fit in
+     */
+    constructor(options = {}) {
+        this.width = options.width || 1150;
+        this.height = options.height || 1360;
+        this.sidesByOrientation = {
+            horizontal: ['North', 'South'],
+            vertical: ['West', 'East']
+        };
+    }
+
+    /**
+     * Validate parsed posters and mounts
+     * @param {Object} data
+     * @param {Array} data.posters - Parsed posters ({ easelBoard, mountId, side, ... })
+     * @param {Array} data.mounts - Parsed mounts ({ mountId, xCoord, yCoord, orientation })
+     * @param {Array} [data.parseErrors] - [{ source, line, message }] from the parser
+     * @param {Array} [data.tableEasels] - Easel boards shown in the table
+     * @param {Array} [data.markerEasels] - Easel boards drawn on the map
+     * @returns {Object} report - { issues: [{ severity, code, message, ... }], errorCount, warningCount }
+     */
+    validate(data) {
+        const posters = data.posters || [];
+        const mounts = data.mounts || [];
+        const issues = [];
+        const add = (severity, code, message, details = {}) => {
+            issues.push({ severity, code, message, ...details });
+        };
+
+        (data.parseErrors || []).forEach(error => {
+            add('error', 'parse-error', `${error.source} line ${error.line}: ${error.message}`, { line: error.line });
+        });
+
+        // Duplicate easel IDs
+        const easelCounts = new Map();
+        posters.forEach(poster => {
+            easelCounts.set(poster.easelBoard, (easelCounts.get(poster.easelBoard) || 0) + 1);
+        });
+        easelCounts.forEach((count, easelBoard) => {
+            if (count > 1) {
+                add('error', 'duplicate-easel', `Easel ${easelBoard} is used by ${count} posters`, { easelBoard });
+            }
+        });
+
+        // Duplicate mount IDs
+        const mountMap = new Map();
+        mounts.forEach(mount => {
+            if (mountMap.has(mount.mountId)) {
+                add('error', 'duplicate-mount', `Mount ${mount.mountId} is defined more than once`, { mountId: mount.mountId });
+                return;
+            }
+            mountMap.set(mount.mountId, mount);
+        });
+
+        // Mount references and sides
+        const usedMounts = new Set();
+        const claimedSides = new Map(); // "mountId|side" -> easel board
+        posters.forEach(poster => {
+            const { easelBoard, mountId, side } = poster;
+
+            if (!mountId) {
+                add('warning', 'missing-mount', `${easelBoard} has no Mount ID and will not appear on the map`, { easelBoard });
+                return;
+            }
+
+            const mount = mountMap.get(mountId);
+            if (!mount) {
+                add('error', 'unknown-mount', `${easelBoard} references unknown mount ${mountId}`, { easelBoard, mountId });
+                return;
+            }
+            usedMounts.add(mountId);
+
+            if (!side) {
+                add('warning', 'missing-side', `${easelBoard} on mount ${mountId} has no Side`, { easelBoard, mountId });
+                return;
+            }
+
+            // An unrecognized orientation is reported once with the mount below, not for each poster on it
+            const validSides = this.sidesByOrientation[mount.orientation];
+            if (validSides && !validSides.includes(side)) {
+                add('error', 'invalid-side',
+                    `${easelBoard} is on the ${side} side of ${mount.orientation} mount ${mountId} (expected ${validSides.join(' or ')})`,
+                    { easelBoard, mountId });
+                return;
+            }
+
+            const sideKey = `${mountId}|${side}`;
+            if (claimedSides.has(sideKey)) {
+                add('error', 'side-collision',
+                    `${easelBoard} and ${claimedSides.get(sideKey)} both claim the ${side} side of mount ${mountId}`,
+                    { easelBoard, mountId });
+                return;
+            }
+            claimedSides.set(sideKey, easelBoard);
+        });
+
+        // Mount positions
+        mounts.forEach(mount => {
+            const outside = mount.xCoord < 0 || mount.xCoord > this.width ||
+                mount.yCoord < 0 || mount.yCoord > this.height;
+            if (outside) {
+                add('error', 'mount-out-of-bounds',
+                    `Mount ${mount.mountId} at (${mount.xCoord}, ${mount.yCoord}) is outside the ${this.width}×${this.height} map`,
+                    { mountId: mount.mountId });
+            }
+            if (!this.sidesByOrientation[mount.orientation]) {
+                add('error', 'invalid-orientation', `Mount ${mount.mountId} has unknown orientation "${mount.orientation}"`,
+                    { mountId: mount.mountId });
+            }
+            if (!usedMounts.has(mount.mountId)) {
+                add('warning', 'unused-mount', `Mount ${mount.mountId} has no posters`, { mountId: mount.mountId });
+            }
+        });
+
+        // Table vs. map
+        if (data.tableEasels && data.markerEasels) {
+            const tableEasels = new Set(data.tableEasels);
+            const markerEasels = new Set(data.markerEasels);
+            tableEasels.forEach(easelBoard => {
+                if (!markerEasels.has(easelBoard)) {
+                    add('warning', 'missing-marker', `${easelBoard} is in the table but has no map marker`, { easelBoard });
+                }
+            });
+            markerEasels.forEach(easelBoard => {
+                if (!tableEasels.has(easelBoard)) {
+                    add('warning', 'missing-row', `${easelBoard} has a map marker but no table row`, { easelBoard });
+                }
+            });
+        }
+
+        return {
+            issues,
+            errorCount: issues.filter(issue => issue.severity === 'error').length,
+            warningCount: issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+}
+
+// Make DataValidator available globally (and to Node tools)
+if (typeof window !== 'undefined') {
+    window.DataValidator = DataValidator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataValidator;
+}
@@ -0,0 +1,217 @@
+// Delimited Parser - RFC 4180 style TSV/CSV parsing shared by the map and the table
+class DelimitedParser {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.delimiter] - '\t', ',' or 'auto' (detect from the header line)
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || 'auto';
+        this.quote = '"';
+    }
+
+    /**
+     * Pick the delimiter for a file: tabs win if the header line has any, otherwise commas
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r\n|\n|\r/, 1)[0] || '';
+        return firstLine.includes('\t') || !firstLine.includes(',') ? '\t' : ',';
+    }
+
+    /**
+     * Split text into rows of fields.
+     *
+     * Quoted fields may contain the delimiter, line breaks and doubled quotes (`""`).
+     * Handles CRLF/CR line endings and a leading BOM. Unquoted fields are trimmed;
+     * quoted fields are kept exactly as written.
+     * @param {string} text - File contents
+     * @returns {Object} { rows: [{ fields, quoted, line }], errors: [{ line, message }], delimiter }
+     *                   (`quoted[i]` is true when field i was written in quotes)
+     */
+    tokenize(text) {
+        const source = (text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.delimiter === 'auto' ? this.detectDelimiter(source) : this.delimiter;
+        const rows = [];
+        const errors = [];
+
+        let fields = [];
+        let quotedFields = [];
+        let field = '';
+        let quoted = false;
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endField = () => {
+            fields.push(quoted ? field : field.trim());
+            quotedFields.push(quoted);
+            field = '';
+            quoted = false;
+        };
+        const endRow = () => {
+            endField();
+            // Blank lines (a single empty unquoted field) are not rows
+            if (fields.length > 1 || fields[0] !== '') {
+                rows.push({ fields, quoted: quotedFields, line: rowLine });
+            }
+            fields = [];
+            quotedFields = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === this.quote) {
+                    if (source[i + 1] === this.quote) {
+                        field += this.quote;
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) {
+                        line++;
+                    }
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === this.quote && field.trim() === '' && !quoted) {
+                // Opening quote (whitespace before it is dropped)
+                field = '';
+                quoted = true;
+                inQuotes = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+                line++;
+                rowLine = line;
+            } else if (quoted) {
+                // Text after a closing quote, e.g. "abc"def - keep it but report it
+                if (char.trim() !== '') {
+                    errors.push({ line, message: `Unexpected text after closing quote in field ${fields.length + 1}` });
+                    field += char;
+                }
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            errors.push({ line: rowLine, message: 'Unterminated quoted field' });
+        }
+        if (field !== '' || quoted || fields.length > 0) {
+            endRow();
+        }
+
+        return { rows, errors, delimiter };
+    }
+
+    /**
+     * Parse a delimited file with a header row.
+     * @param {string} text - File contents
+     * @param {Object} [options]
+     * @param {Object} [options.columns] - Record key -> header name or list of aliases,
+     *                                     e.g. { easelBoard: ['Easel Board', 'Easel'] }
+     * @param {Array} [options.required] - Record keys whose column must be present
+     * @returns {Object} result
+     * @returns {Array} result.headers - Header names
+     * @returns {Array} result.rows - Data rows as arrays, padded to the header length
+     * @returns {Array} result.records - Data rows keyed by `columns` (all headers when no columns are given)
+     * @returns {Object} result.columnIndex - Record key -> column index (-1 when missing)
+     * @returns {Array} result.errors - [{ line, message }]
+     */
+    parse(text, options = {}) {
+        const { rows, errors } = this.tokenize(text);
+        const result = { headers: [], rows: [], records: [], columnIndex: {}, errors };
+
+        if (rows.length === 0) {
+            errors.push({ line: 1, message: 'No header row' });
+            return result;
+        }
+
+        const headers = rows[0].fields;
+        result.headers = headers;
+
+        const columns = options.columns || headers.reduce((map, header) => {
+            map[header] = header;
+            return map;
+        }, {});
+        Object.keys(columns).forEach(key => {
+            result.columnIndex[key] = DelimitedParser.findColumn(headers, columns[key]);
+        });
+
+        (options.required || []).forEach(key => {
+            if (result.columnIndex[key] === -1) {
+                const aliases = Array.isArray(columns[key]) ? columns[key] : [columns[key]];
+                errors.push({ line: rows[0].line, message: `Missing required column "${aliases[0]}"` });
+            }
+        });
+
+        rows.slice(1).forEach(({ fields, quoted, line }) => {
+            // Trailing delimiters (common in spreadsheet exports) leave empty fields past the last column
+            let count = fields.length;
+            while (count > headers.length && fields[count - 1] === '' && !quoted[count - 1]) {
+                count--;
+            }
+            if (fields.slice(headers.length, count).some(field => field !== '')) {
+                errors.push({ line, message: `Expected ${headers.length} fields but found ${count}` });
+            }
+
+            const values = headers.map((_, index) => fields[index] || '');
+            const record = { line };
+            Object.keys(result.columnIndex).forEach(key => {
+                const index = result.columnIndex[key];
+                record[key] = index === -1 ? '' : values[index];
+            });
+
+            result.rows.push(values);
+            result.records.push(record);
+        });
+
+        return result;
+    }
+
+    /**
+     * Index of the first header matching one of the aliases (case and extra spaces ignored), or -1
+     * @param {Array} headers - Header names
+     * @param {string|Array} aliases - Header name or list of aliases, in order of preference
+     */
+    static findColumn(headers, aliases) {
+        const normalizeHeader = header => String(header).toLowerCase().replace(/\s+/g, ' ').trim();
+        const normalizedHeaders = headers.map(normalizeHeader);
+        const match = (Array.isArray(aliases) ? aliases : [aliases])
+            .map(alias => normalizedHeaders.indexOf(normalizeHeader(alias)))
+            .find(index => index !== -1);
+        return match === undefined ? -1 : match;
+    }
+
+    /**
+     * Parse a file in one call, e.g. DelimitedParser.parse(text, { columns: {...} })
+     */
+    static parse(text, options = {}) {
+        return new DelimitedParser(options).parse(text, options);
+    }
+
+    /**
+     * Log parse errors for a file
+     */
+    static reportErrors(source, errors) {
+        errors.forEach(error => {
+            console.warn(`${source} line ${error.line}: ${error.message}`);
+        });
+    }
+}
+
+// Make DelimitedParser available globally (and to Node tools)
+if (typeof window !== 'undefined') {
+    window.DelimitedParser = DelimitedParser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DelimitedParser;
+}
@@ -0,0 +1,117 @@
+// Favorites - starred posters, persisted in localStorage
+class FavoritesStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key for the starred easel boards
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'posterSession.favorites';
+        this.easels = new Set();
+        this.listeners = [];
+        this.load();
+
+        // Keep other open tabs in sync
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (event) => {
+                if (event.key === this.storageKey) {
+                    this.load();
+                    this.notify();
+                }
+            });
+        }
+    }
+
+    /**
+     * Read the starred easel boards from localStorage (private browsing may block it)
+     */
+    load() {
+        this.easels = new Set();
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey) || '[]');
+            if (Array.isArray(stored)) {
+                stored.filter(easel => typeof easel === 'string' && easel).forEach(easel => this.easels.add(easel));
+            }
+        } catch (error) {
+            console.warn('Could not read favorites from localStorage:', error);
+        }
+    }
+
+    save() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.getAll()));
+        } catch (error) {
+            console.warn('Could not save favorites to localStorage:', error);
+        }
+    }
+
+    has(easelBoard) {
+        return this.easels.has(easelBoard);
+    }
+
+    /**
+     * Star or unstar a poster
+     * @param {string} easelBoard
+     * @param {boolean} [force] - true to star, false to unstar, omitted to flip
+     * @returns {boolean} Whether the poster is starred afterwards
+     */
+    toggle(easelBoard, force) {
+        if (!easelBoard) {
+            return false;
+        }
+
+        const starred = force === undefined ? !this.easels.has(easelBoard) : Boolean(force);
+        if (starred === this.easels.has(easelBoard)) {
+            return starred;
+        }
+
+        if (starred) {
+            this.easels.add(easelBoard);
+        } else {
+            this.easels.delete(easelBoard);
+        }
+        this.save();
+        this.notify(easelBoard);
+        return starred;
+    }
+
+    /**
+     * Starred easel boards in natural order (A2 before A10)
+     */
+    getAll() {
+        return Array.from(this.easels).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    get size() {
+        return this.easels.size;
+    }
+
+    /**
+     * Call listener(easelBoard|null, store) whenever the favorites change
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    }
+
+    notify(easelBoard = null) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(easelBoard, this);
+            } catch (error) {
+                console.error('Favorites listener failed:', error);
+            }
+        });
+    }
+}
+
+// Make FavoritesStore available globally, with a shared instance for the page
+if (typeof window !== 'undefined') {
+    window.FavoritesStore = FavoritesStore;
+    window.favorites = new FavoritesStore();
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FavoritesStore;
+}
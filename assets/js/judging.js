@@ -0,0 +1,507 @@
+// Judging Mode - judge assignments, rubric score sheets in the info panel, and result export
+class JudgingMode {
+    /**
+     * @param {LayoutAPI} layout - Layout with the posters loaded
+     * @param {Object} options
+     * @param {Object} options.config - Judging config (see data/judging.json)
+     * @param {HTMLElement} [options.toolbar] - Toolbar with a [data-setting="judge"] select, [data-action] buttons
+     *                                          and a [data-role="status"] element
+     * @param {Function} [options.locate] - easelBoard => { x, y } map coordinates of its marker, or null
+     * @param {Function} [options.onChange] - Called after the judge changes or a score is saved
+     * @param {string} [options.storageKey] - localStorage key for the score sheets
+     */
+    constructor(layout, options = {}) {
+        this.layout = layout;
+        this.map = layout.map;
+        this.config = options.config || {};
+        this.toolbar = options.toolbar || null;
+        this.locate = options.locate || (() => null);
+        this.onChange = options.onChange || (() => {});
+        this.storageKey = options.storageKey || 'posterSession.judging';
+
+        this.rubric = (this.config.rubric || []).map(criterion => ({
+            id: criterion.id,
+            label: criterion.label || criterion.id,
+            max: Number(criterion.max) || 5
+        }));
+        this.judges = (this.config.judges || []).map(judge => ({
+            name: judge.name,
+            easels: (judge.easels || []).slice()
+        }));
+
+        this.judge = null;      // Selected judge ({ name, easels })
+        this.openEasel = null;  // Poster whose score sheet is open
+        this.sheets = this.loadSheets();
+
+        this.handlePanelEvent = this.handlePanelEvent.bind(this);
+        this.map.infoPanel.addEventListener('click', this.handlePanelEvent);
+        this.map.infoPanel.addEventListener('input', this.handlePanelEvent);
+        this.map.infoPanel.addEventListener('change', this.handlePanelEvent);
+
+        this.bindToolbar();
+
+        try {
+            const savedJudge = window.localStorage.getItem(`${this.storageKey}.judge`);
+            if (savedJudge) {
+                this.setJudge(savedJudge);
+            }
+        } catch (error) {
+            // Storage unavailable; the judge picks their name again
+        }
+    }
+
+    /**
+     * Load the judging config. Returns null when the file is missing or judging is not enabled.
+     * @param {string} configUrl - e.g. data/judging.json
+     */
+    static async loadConfig(configUrl) {
+        try {
+            const response = await fetch(configUrl);
+            if (!response.ok) {
+                return null;
+            }
+            const config = await response.json();
+            return config && config.enabled ? config : null;
+        } catch (error) {
+            console.warn(`Could not load judging config ${configUrl}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Lowercase words of a name without accents, punctuation or academic titles
+     */
+    static nameTokens(name) {
+        const titles = new Set(['dr', 'prof', 'professor', 'mr', 'mrs', 'ms', 'mx']);
+        return (name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !titles.has(token));
+    }
+
+    /**
+     * Whether a judge is (probably) one of the poster's mentors: the judge's first and last name both appear
+     * in one of the poster's mentor names ("Spencer Brucks" matches "Spencer D. Brucks")
+     * @param {string} judgeName
+     * @param {Array<string>} mentorNames - From the poster's structured people (layout.getPeople)
+     */
+    static hasConflict(judgeName, mentorNames) {
+        const judgeTokens = JudgingMode.nameTokens(judgeName);
+        if (judgeTokens.length === 0 || !mentorNames || mentorNames.length === 0) {
+            return false;
+        }
+
+        const first = judgeTokens[0];
+        const last = judgeTokens[judgeTokens.length - 1];
+        return mentorNames
+            .map(name => JudgingMode.nameTokens(name))
+            .some(tokens => tokens.includes(last) && (judgeTokens.length === 1 || tokens.includes(first)));
+    }
+
+    bindToolbar() {
+        if (!this.toolbar) return;
+
+        const select = this.toolbar.querySelector('[data-setting="judge"]');
+        if (select) {
+            this.judges.forEach(judge => {
+                const option = document.createElement('option');
+                option.value = judge.name;
+                option.textContent = judge.name;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.setJudge(select.value || null));
+        }
+
+        this.toolbar.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.getAttribute('data-action');
+                if (action === 'next') this.openNext();
+                if (action === 'export-csv') this.download('csv');
+                if (action === 'export-json') this.download('json');
+            });
+        });
+
+        this.toolbar.hidden = false;
+        this.updateStatus();
+    }
+
+    /**
+     * Switch to a judge (by name) and highlight their assigned posters
+     */
+    setJudge(name) {
+        this.close();
+        this.judge = this.judges.find(judge => judge.name === name) || null;
+
+        try {
+            if (this.judge) {
+                window.localStorage.setItem(`${this.storageKey}.judge`, this.judge.name);
+            } else {
+                window.localStorage.removeItem(`${this.storageKey}.judge`);
+            }
+        } catch (error) {
+            // Not remembered across reloads
+        }
+
+        const select = this.toolbar && this.toolbar.querySelector('[data-setting="judge"]');
+        if (select) {
+            select.value = this.judge ? this.judge.name : '';
+        }
+
+        this.updateHighlights();
+        this.updateStatus();
+        this.onChange();
+    }
+
+    isAssigned(easelBoard) {
+        return Boolean(this.judge && this.judge.easels.includes(easelBoard));
+    }
+
+    getPoster(easelBoard) {
+        return this.layout.posters.find(poster => poster.easelBoard === easelBoard) || null;
+    }
+
+    isConflict(easelBoard) {
+        const poster = this.getPoster(easelBoard);
+        return Boolean(this.judge && poster && JudgingMode.hasConflict(this.judge.name, this.getMentorNames(poster)));
+    }
+
+    getMentorNames(poster) {
+        return this.layout.getPeople(poster).mentors.map(mentor => mentor.name);
+    }
+
+    // Score sheets: { [judgeName]: { [easelBoard]: { scores: { [criterionId]: number }, comments, updatedAt } } }
+
+    loadSheets() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Could not read judging scores from localStorage:', error);
+            return {};
+        }
+    }
+
+    saveSheets() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.sheets));
+            return true;
+        } catch (error) {
+            console.error('Could not save judging scores to localStorage:', error);
+            return false;
+        }
+    }
+
+    getSheet(easelBoard, judgeName = this.judge?.name) {
+        return (judgeName && this.sheets[judgeName] && this.sheets[judgeName][easelBoard]) || null;
+    }
+
+    isComplete(sheet) {
+        return Boolean(sheet) && this.rubric.every(criterion => Number.isFinite(sheet.scores[criterion.id]));
+    }
+
+    getTotal(sheet) {
+        return this.rubric.reduce((total, criterion) => total + (sheet?.scores[criterion.id] || 0), 0);
+    }
+
+    /**
+     * Extra info panel markup for a poster: a button that opens its score sheet
+     */
+    getInfoPanelMarkup(poster) {
+        if (!this.judge || !poster.easelBoard || this.openEasel) {
+            return '';
+        }
+        const sheet = this.getSheet(poster.easelBoard);
+        const label = this.isComplete(sheet) ? 'Edit scores' : 'Score this poster';
+        const easel = PosterSearch.escapeHtml(poster.easelBoard);
+        return `<button type="button" class="judging-open" data-judging-action="open" data-easel="${easel}">${label}</button>`;
+    }
+
+    /**
+     * Open a poster's score sheet in the (pinned, expanded) info panel
+     */
+    open(easelBoard) {
+        const poster = this.getPoster(easelBoard);
+        if (!this.judge || !poster) {
+            return;
+        }
+
+        this.openEasel = easelBoard;
+        this.layout.renderPosterInfo(poster, { pillFontSize: 12 });
+
+        const sheet = this.getSheet(easelBoard) || { scores: {}, comments: '' };
+        const notices = [];
+        if (this.isConflict(easelBoard)) {
+            notices.push(`<p class="judging-notice judging-notice--conflict" role="alert"><strong>Possible conflict of interest:</strong> you are listed as this poster's Faculty/Mentor. Check with the organizers before scoring.</p>`);
+        }
+        if (!this.isAssigned(easelBoard)) {
+            notices.push('<p class="judging-notice">This poster is not on your list.</p>');
+        }
+
+        const escape = PosterSearch.escapeHtml;
+        const criteria = this.rubric.map(criterion => {
+            const options = [];
+            for (let value = 1; value <= criterion.max; value++) {
+                const checked = sheet.scores[criterion.id] === value ? ' checked' : '';
+                options.push(`
+                    <label class="judging-score">
+                        <input type="radio" name="judging-${escape(criterion.id)}" value="${value}" data-criterion="${escape(criterion.id)}"${checked}>
+                        <span>${value}</span>
+                    </label>`);
+            }
+            return `
+                <fieldset class="judging-criterion">
+                    <legend>${escape(criterion.label)} <span class="judging-max">(1–${criterion.max})</span></legend>
+                    <div class="judging-scores">${options.join('')}</div>
+                </fieldset>`;
+        }).join('');
+
+        const form = document.createElement('form');
+        form.className = 'judging-sheet';
+        form.setAttribute('data-easel', easelBoard);
+        form.setAttribute('aria-label', `Score sheet for ${easelBoard}`);
+        form.innerHTML = `
+            ${notices.join('')}
+            ${criteria}
+            <label class="judging-comments">Comments
+                <textarea name="comments" rows="3"></textarea>
+            </label>
+            <div class="judging-sheet__footer">
+                <span class="judging-saved" data-role="saved" aria-live="polite"></span>
+                <button type="button" data-judging-action="next">Next poster</button>
+                <button type="button" data-judging-action="close">Done</button>
+            </div>
+        `;
+        form.querySelector('textarea').value = sheet.comments || '';
+        form.addEventListener('submit', event => event.preventDefault());
+        this.map.infoDescription.appendChild(form);
+
+        this.map.pinInfo('info-panel--judging');
+        this.updateSavedStatus();
+    }
+
+    close() {
+        if (!this.openEasel) return;
+        this.openEasel = null;
+        this.map.unpinInfo();
+    }
+
+    /**
+     * Open the next assigned poster after the open one, preferring posters without a complete score sheet
+     */
+    openNext() {
+        if (!this.judge || this.judge.easels.length === 0) return;
+
+        const easels = this.judge.easels;
+        const start = this.openEasel ? easels.indexOf(this.openEasel) + 1 : 0;
+        const ordered = easels.slice(start).concat(easels.slice(0, start));
+        const next = ordered.find(easel => easel !== this.openEasel && !this.isComplete(this.getSheet(easel))) ||
+            ordered.find(easel => easel !== this.openEasel) ||
+            ordered[0];
+
+        const point = this.locate(next);
+        if (point) {
+            this.map.centerOnCoordinates(point.x, point.y, { animate: true });
+        }
+        this.close();
+        this.open(next);
+    }
+
+    handlePanelEvent(event) {
+        const form = event.target.closest && event.target.closest('.judging-sheet');
+
+        if (event.type === 'click') {
+            const button = event.target.closest && event.target.closest('[data-judging-action]');
+            if (!button) return;
+            const action = button.getAttribute('data-judging-action');
+            if (action === 'open') this.open(button.getAttribute('data-easel'));
+            if (action === 'next') this.openNext();
+            if (action === 'close') this.close();
+            return;
+        }
+
+        if (form) {
+            this.saveForm(form);
+        }
+    }
+
+    /**
+     * Store the open score sheet (called on every change, so nothing is lost offline)
+     */
+    saveForm(form) {
+        const easelBoard = form.getAttribute('data-easel');
+        const scores = {};
+        form.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+            scores[input.getAttribute('data-criterion')] = Number(input.value);
+        });
+
+        if (!this.sheets[this.judge.name]) {
+            this.sheets[this.judge.name] = {};
+        }
+        this.sheets[this.judge.name][easelBoard] = {
+            scores,
+            comments: form.querySelector('textarea').value,
+            updatedAt: new Date().toISOString()
+        };
+
+        const saved = this.saveSheets();
+        this.updateSavedStatus(saved);
+        this.updateHighlights();
+        this.updateStatus();
+        this.onChange();
+    }
+
+    updateSavedStatus(saved = true) {
+        const status = this.map.infoDescription.querySelector('[data-role="saved"]');
+        if (!status) return;
+
+        const sheet = this.getSheet(this.openEasel);
+        if (!saved) {
+            status.textContent = 'Could not save on this device';
+        } else if (!sheet) {
+            status.textContent = '';
+        } else {
+            const time = new Date(sheet.updatedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            const total = this.getTotal(sheet);
+            const max = this.rubric.reduce((sum, criterion) => sum + criterion.max, 0);
+            status.textContent = `Saved ${time} · ${total}/${max}${this.isComplete(sheet) ? '' : ' (incomplete)'}`;
+        }
+    }
+
+    /**
+     * Ring the judge's assigned markers: purple to do, green scored, red for a conflict of interest
+     */
+    updateHighlights() {
+        const layer = this.layout.posterLayer;
+        if (!layer) return;
+
+        layer.querySelectorAll('.judging-ring').forEach(ring => ring.remove());
+        document.querySelectorAll('#tsvTable tbody tr[data-easel]').forEach(row => {
+            const easel = row.getAttribute('data-easel');
+            row.classList.toggle('judging-assigned', this.isAssigned(easel));
+            row.classList.toggle('judging-scored', this.isAssigned(easel) && this.isComplete(this.getSheet(easel)));
+        });
+
+        if (!this.judge) return;
+
+        layer.querySelectorAll('.color-marker[data-easel]').forEach(circle => {
+            const easel = circle.getAttribute('data-easel');
+            if (!this.isAssigned(easel)) return;
+
+            const state = this.isConflict(easel) ? 'conflict'
+                : this.isComplete(this.getSheet(easel)) ? 'scored'
+                : 'todo';
+            const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            ring.setAttribute('class', `judging-ring judging-ring--${state}`);
+            ring.setAttribute('cx', circle.getAttribute('cx'));
+            ring.setAttribute('cy', circle.getAttribute('cy'));
+            ring.setAttribute('r', 19);
+            ring.setAttribute('fill', 'none');
+            ring.setAttribute('stroke', { todo: '#7B1FA2', scored: '#2E7D32', conflict: '#C62828' }[state]);
+            ring.setAttribute('stroke-width', 4);
+            if (state === 'todo') {
+                ring.setAttribute('stroke-dasharray', '6 4');
+            }
+            ring.setAttribute('pointer-events', 'none');
+            circle.parentNode.insertBefore(ring, circle);
+        });
+    }
+
+    updateStatus() {
+        const status = this.toolbar && this.toolbar.querySelector('[data-role="status"]');
+        if (!status) return;
+
+        if (!this.judge) {
+            status.textContent = 'Choose your name to see your posters';
+            return;
+        }
+        const done = this.judge.easels.filter(easel => this.isComplete(this.getSheet(easel))).length;
+        const conflicts = this.judge.easels.filter(easel => this.isConflict(easel)).length;
+        status.textContent = `${done} of ${this.judge.easels.length} scored` +
+            (conflicts ? ` · ${conflicts} conflict${conflicts === 1 ? '' : 's'}` : '');
+    }
+
+    /**
+     * Every score sheet stored on this device, one entry per judge and poster
+     */
+    getResults() {
+        const results = [];
+        Object.keys(this.sheets).sort().forEach(judgeName => {
+            const judge = this.judges.find(entry => entry.name === judgeName);
+            Object.keys(this.sheets[judgeName])
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .forEach(easelBoard => {
+                    const sheet = this.sheets[judgeName][easelBoard];
+                    const poster = this.getPoster(easelBoard) || {};
+                    const mentorNames = poster.easelBoard ? this.getMentorNames(poster) : [];
+                    results.push({
+                        judge: judgeName,
+                        easelBoard,
+                        title: poster.title || '',
+                        facultyMentor: poster.facultyMentor || '',
+                        assigned: Boolean(judge && judge.easels.includes(easelBoard)),
+                        conflictOfInterest: JudgingMode.hasConflict(judgeName, mentorNames),
+                        complete: this.isComplete(sheet),
+                        scores: { ...sheet.scores },
+                        total: this.getTotal(sheet),
+                        comments: sheet.comments || '',
+                        updatedAt: sheet.updatedAt
+                    });
+                });
+        });
+        return results;
+    }
+
+    toJSON() {
+        return {
+            event: this.config.event || '',
+            exportedAt: new Date().toISOString(),
+            rubric: this.rubric,
+            results: this.getResults()
+        };
+    }
+
+    toCSV() {
+        const quote = value => {
+            let text = value === undefined || value === null ? '' : String(value);
+            // Text starting like a formula (judge names, titles, comments) would run in a spreadsheet
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['Judge', 'Easel Board', 'Poster Title']
+            .concat(this.rubric.map(criterion => `${criterion.label} (1-${criterion.max})`))
+            .concat(['Total', 'Complete', 'Assigned', 'Conflict of Interest', 'Comments', 'Updated']);
+        const rows = this.getResults().map(result => [result.judge, result.easelBoard, result.title]
+            .concat(this.rubric.map(criterion => result.scores[criterion.id]))
+            .concat([
+                result.total,
+                result.complete ? 'yes' : 'no',
+                result.assigned ? 'yes' : 'no',
+                result.conflictOfInterest ? 'yes' : 'no',
+                result.comments,
+                result.updatedAt
+            ]));
+        return [header].concat(rows).map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+
+    download(format) {
+        const isCSV = format === 'csv';
+        const content = isCSV ? this.toCSV() : JSON.stringify(this.toJSON(), null, 2) + '\n';
+        const blob = new Blob([content], { type: isCSV ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `judging-results.${isCSV ? 'csv' : 'json'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Make JudgingMode available globally
+window.JudgingMode = JudgingMode;
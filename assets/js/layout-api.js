@@ -5,94 +5,404 @@ class LayoutAPI {
         this.layoutElements = new Map();
         this.svgCache = new Map();
         this.loneMarkerBoards = new Set(['HC-1', 'P-13']);
+        this.categories = (typeof window !== 'undefined' && window.categoryRegistry) || new CategoryRegistry();
+        this.posters = [];
+        this.mounts = [];
+        this.disciplines = new Map(); // normalized name -> display name
+        this.parseErrors = []; // [{ source, line, message }] from the last TSV load
+        this.sourceTexts = new Map(); // url -> TSV text the posters and mounts were loaded from
+        this.walkways = null; // Walkway graph for routing, see setWalkways()
+        this.infoHighlighter = null; // (poster, field, text) => HTML for a field in the info panel, e.g. search matches
+        
+        // Without a map the API runs headless (e.g. tools/validate-data.js): parsing and grouping only
+        if (!this.map) {
+            this.posterLayer = null;
+            this.routeLayer = null;
+            return;
+        }
+
+        // Walking routes are drawn above the buildings and below the poster markers
+        this.routeLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.routeLayer.setAttribute('id', 'route-layer');
+        this.routeLayer.setAttribute('pointer-events', 'none');
+        this.map.svg.appendChild(this.routeLayer);
         
         // Create a dedicated layer for poster mounts to ensure they're always on top
         this.posterLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         this.posterLayer.setAttribute('id', 'poster-mounts-layer');
         this.posterLayer.style.pointerEvents = 'all'; // Ensure interactions work
         this.map.svg.appendChild(this.posterLayer);
+
+        // Labels counter-scale against the zoom so they stay legible
+        if (typeof this.map.onViewChange === 'function') {
+            this.map.onViewChange(() => this.updateLabelScale());
+        }
+        this.bindInfoPanelHover();
     }
 
     /**
      * Function to get the color corresponding to the easel easelBoardId value
      * @param {*} value The value to extract the easelBoardId from, e.g. 'B-01' or 'BC-02'
-     * @returns color The color corresponding to the easelBoardId value
+     * @returns color The color corresponding to the easelBoardId value (see data/categories.json)
      */
     getColorByEaselBoardId(value) {
-        if (!value) return "#404040"; // Default gray for missing values
-        
-        let easelBoardId = value.split("-")[0]; // Extract the easelBoardId
-        let color;
-        switch (easelBoardId) {
-            case "B":
-                color = "#008000"; // green (B-1 through B-7)
-                break;
-            case "BCS":
-                color = "#FFA500"; // orange (BCS-1, BCS-2, BCS-3)
-                break;
-            case "C":
-                color = "#FF0000"; // red (C-1 through C-17)
-                break;
-            case "CEP":
-                color = "#FFA500"; // orange (CEP1 & CEP2)
-                break;
-            case "CHC":
-                color = "#FFA500"; // orange (CHC1, CHC2, CHC3)
-                break;
-            case "CP":
-                color = "#FFA500"; // orange (CP1)
-                break;
-            case "CS":
-                color = "#87CEEB"; // light blue (CS-1 through CS-22)
-                break;
-            case "CSE":
-                color = "#FFA500"; // orange (CSE-1, CSE-2)
-                break;
-            case "CSEM":
-                color = "#FFA500"; // orange (CSEM-1)
-                break;
-            case "CSEP":
-                color = "#FFA500"; // orange (CSEP-1, CSEP-2)
-                break;
-            case "CSHC":
-                color = "#FFA500"; // orange (CSHC-1, CSHC-2)
-                break;
-            case "CSM":
-                color = "#FFA500"; // orange (CSM-1)
-                break;
-            case "E":
-                color = "#000000"; // black (E-1 through E-26)
-                break;
-            case "EP":
-                color = "#FFA500"; // orange (EP-1)
+        return this.categories.getColor(value);
+    }
+
+    /**
+     * Get the marker text color for an easel board from the category registry
+     * @param {string} value - Easel board, e.g. 'CS-4'
+     * @returns {string} Text color
+     */
+    getTextColorByEaselBoardId(value) {
+        return this.categories.getTextColor(value);
+    }
+
+    /**
+     * Whether the map asks for reduced motion: highlights then keep markers at their size
+     */
+    isReducedMotion() {
+        return Boolean(this.map && typeof this.map.prefersReducedMotion === 'function' && this.map.prefersReducedMotion());
+    }
+
+    isLoneMarkerBoard(easelBoard) {
+        return easelBoard ? this.loneMarkerBoards.has(easelBoard) : false;
+    }
+
+    normalizeCategoryName(name) {
+        return (name || '').toLowerCase().replace(/[,&]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Split a category into known names, joining comma-separated pieces back together
+     * when they form a known name (e.g. "Humanities, Social Sciences, and the Arts")
+     * @param {string} category - Raw Poster Category value
+     * @param {Map} known - normalized name -> display name
+     * @returns {Array} [{ name, known }]
+     */
+    decomposeCategory(category, known) {
+        const pieces = (category || '').split(',').map(piece => piece.trim()).filter(Boolean);
+        const parts = [];
+        let start = 0;
+
+        while (start < pieces.length) {
+            let matched = false;
+            for (let end = pieces.length; end > start; end--) {
+                const candidate = this.normalizeCategoryName(pieces.slice(start, end).join(' '));
+                if (known.has(candidate)) {
+                    parts.push({ name: known.get(candidate), known: true });
+                    start = end;
+                    matched = true;
+                    break;
+                }
+            }
+            if (!matched) {
+                parts.push({ name: pieces[start], known: false });
+                start++;
+            }
+        }
+
+        return parts;
+    }
+
+    /**
+     * Build the set of individual disciplines from the poster categories. A category is a
+     * discipline unless it is made up entirely of other categories ("Engineering, Physics").
+     * @param {Array} posters - Parsed posters
+     * @returns {Array} Discipline display names
+     */
+    buildDisciplineIndex(posters) {
+        const categories = [...new Set(posters.map(poster => poster.category).filter(Boolean))];
+        const known = new Map(categories.map(category => [this.normalizeCategoryName(category), category]));
+
+        this.disciplines = new Map();
+        categories.forEach(category => {
+            const key = this.normalizeCategoryName(category);
+            const others = new Map(known);
+            others.delete(key);
+
+            const parts = this.decomposeCategory(category, others);
+            const isCombination = parts.length > 1 && parts.every(part => part.known);
+            if (!isCombination) {
+                this.disciplines.set(key, category);
+            }
+        });
+
+        return Array.from(this.disciplines.values());
+    }
+
+    /**
+     * Get the individual disciplines of a poster category
+     * @param {string} category - e.g. 'Computer Science, Engineering, Physics'
+     * @returns {Array} e.g. ['Computer Science', 'Engineering', 'Physics']
+     */
+    splitCategory(category) {
+        if (!category) return [];
+        if (this.disciplines.size === 0) {
+            return category.split(',').map(piece => piece.trim()).filter(Boolean);
+        }
+        return this.decomposeCategory(category, this.disciplines).map(part => part.name);
+    }
+
+    /**
+     * Get the color of each discipline a poster covers
+     * @param {Object} poster - { easelBoard, category }
+     * @returns {Array} e.g. CSEP-1 -> [Computer Science, Engineering, Physics colors];
+     *                  a single entry (the easel board color) for single-discipline posters
+     */
+    getDisciplineColors(poster) {
+        return this.getDisciplineStyles(poster).map(style => style.color);
+    }
+
+    /**
+     * Get the color and pattern of each discipline a poster covers (patterns are 'solid'
+     * unless the category registry is in color-blind safe mode)
+     * @param {Object} poster - { easelBoard, category }
+     * @returns {Array} [{ color, pattern }], ordered like getDisciplineColors()
+     */
+    getDisciplineStyles(poster) {
+        const easelStyle = [{
+            color: this.getColorByEaselBoardId(poster?.easelBoard),
+            pattern: this.categories.getPattern(poster?.easelBoard)
+        }];
+        if (!poster || !poster.category || this.categories.placeholderBoards.has(poster.easelBoard)) {
+            return easelStyle;
+        }
+
+        const styles = [];
+        this.splitCategory(poster.category).forEach(discipline => {
+            const entry = this.categories.getCategoryByName(discipline);
+            if (entry && !styles.some(style => style.color === entry.color)) {
+                styles.push({ color: entry.color, pattern: entry.pattern });
+            }
+        });
+
+        return styles.length > 1 ? styles : easelStyle;
+    }
+
+    /**
+     * Pie slices for a multi-color circle, starting at 12 o'clock and going clockwise
+     * @param {Array} colors - One color per slice
+     * @param {number} cx - Center x
+     * @param {number} cy - Center y
+     * @param {number} r - Radius
+     * @returns {Array} [{ d, color }] path data for each slice
+     */
+    getPieSegments(colors, cx, cy, r) {
+        const round = value => Math.round(value * 10000) / 10000;
+        const step = (Math.PI * 2) / colors.length;
+
+        return colors.map((color, index) => {
+            const start = -Math.PI / 2 + index * step;
+            const end = start + step;
+            const largeArc = step > Math.PI ? 1 : 0;
+            const d = `M ${cx} ${cy} ` +
+                `L ${round(cx + r * Math.cos(start))} ${round(cy + r * Math.sin(start))} ` +
+                `A ${r} ${r} 0 ${largeArc} 1 ${round(cx + r * Math.cos(end))} ${round(cy + r * Math.sin(end))} Z`;
+            return { d, color };
+        });
+    }
+
+    /**
+     * Get the fill for a poster marker circle. Multi-disciplinary posters get a pie
+     * pattern with one slice per discipline color; in color-blind safe mode each color
+     * also carries its category's pattern. The same fill works for any circle on the
+     * page (table icons, the info panel pill).
+     * @param {Object} poster - { easelBoard, category }
+     * @returns {string} A color or a `url(#...)` pattern reference
+     */
+    getMarkerFill(poster) {
+        return this.getStylesFill(this.getDisciplineStyles(poster));
+    }
+
+    /**
+     * Fill for a circle showing one or more { color, pattern } styles, see getMarkerFill()
+     * @param {Array} styles - e.g. [{ color: '#009E73', pattern: 'dots' }]
+     * @returns {string} A color or a `url(#...)` pattern reference
+     */
+    getStylesFill(styles) {
+        if (styles.length === 1 && styles[0].pattern === 'solid') {
+            return styles[0].color;
+        }
+
+        const patternId = `marker-split-${styles.map(style => this.getStyleKey(style)).join('-')}`;
+        if (!document.getElementById(patternId)) {
+            // objectBoundingBox units keep the slices fitted to the circle while its radius animates
+            const pattern = document.createElementNS('http://www.w3.org/2000/svg', 'pattern');
+            pattern.setAttribute('id', patternId);
+            pattern.setAttribute('patternUnits', 'objectBoundingBox');
+            pattern.setAttribute('patternContentUnits', 'objectBoundingBox');
+            pattern.setAttribute('width', 1);
+            pattern.setAttribute('height', 1);
+
+            const fills = styles.map(style => (style.pattern === 'solid' ? style.color : `url(#${this.getPatternTile(style)})`));
+            const slices = styles.length === 1
+                ? [{ d: 'M 0 0 H 1 V 1 H 0 Z', color: fills[0] }]
+                : this.getPieSegments(fills, 0.5, 0.5, 0.5);
+            slices.forEach(segment => {
+                const slice = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                slice.setAttribute('d', segment.d);
+                slice.setAttribute('fill', segment.color);
+                pattern.appendChild(slice);
+            });
+
+            this.getPatternDefs().appendChild(pattern);
+        }
+
+        return `url(#${patternId})`;
+    }
+
+    getStyleKey(style) {
+        const color = style.color.replace(/[^0-9a-z]/gi, '');
+        return style.pattern === 'solid' ? color : `${color}${style.pattern}`;
+    }
+
+    /**
+     * A repeating tile of a category pattern over its color, sized for marker pies
+     * (a quarter of the marker across); the marks use the color's text color
+     * @param {Object} style - { color, pattern } with pattern one of CategoryRegistry.PATTERNS
+     * @returns {string} Pattern element ID
+     */
+    getPatternTile(style) {
+        const tileId = `marker-tile-${this.getStyleKey(style)}`;
+        if (document.getElementById(tileId)) {
+            return tileId;
+        }
+
+        const size = 0.25;
+        const half = size / 2;
+        const ink = this.getTextColorForBackground(style.color);
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const tile = document.createElementNS(svgNS, 'pattern');
+        tile.setAttribute('id', tileId);
+        tile.setAttribute('patternUnits', 'userSpaceOnUse');
+        tile.setAttribute('width', size);
+        tile.setAttribute('height', size);
+
+        const background = document.createElementNS(svgNS, 'rect');
+        background.setAttribute('width', size);
+        background.setAttribute('height', size);
+        background.setAttribute('fill', style.color);
+        tile.appendChild(background);
+
+        const marks = document.createElementNS(svgNS, 'g');
+        marks.setAttribute('fill', ink);
+        marks.setAttribute('stroke', ink);
+        marks.setAttribute('stroke-width', size * 0.18);
+        marks.setAttribute('opacity', 0.6);
+        const add = (name, attributes) => {
+            const mark = document.createElementNS(svgNS, name);
+            Object.keys(attributes).forEach(key => mark.setAttribute(key, attributes[key]));
+            marks.appendChild(mark);
+        };
+        const slash = `M ${-half / 2} ${half / 2} L ${half / 2} ${-half / 2} M 0 ${size} L ${size} 0 M ${size - half / 2} ${size + half / 2} L ${size + half / 2} ${size - half / 2}`;
+        const backslash = `M ${-half / 2} ${size - half / 2} L ${half / 2} ${size + half / 2} M 0 0 L ${size} ${size} M ${size - half / 2} ${-half / 2} L ${size + half / 2} ${half / 2}`;
+
+        switch (style.pattern) {
+            case 'dots':
+                add('circle', { cx: half, cy: half, r: size * 0.22, stroke: 'none' });
                 break;
-            case "HC":
-                color = "#FFD700"; // gold (HC-1)
+            case 'stripes':
+                add('path', { d: slash, fill: 'none' });
                 break;
-            case "BHC":
-                color = "#FFD700"; // gold (BHC-1 matches HC color)
+            case 'backslash':
+                add('path', { d: backslash, fill: 'none' });
                 break;
-            case "HSA":
-                color = "#20B2AA"; // light teal (HSA-1)
+            case 'horizontal':
+                add('path', { d: `M 0 ${half} H ${size}`, fill: 'none' });
                 break;
-            case "HSAM":
-                color = "#FFA500"; // orange (HSAM-1)
+            case 'vertical':
+                add('path', { d: `M ${half} 0 V ${size}`, fill: 'none' });
                 break;
-            case "M":
-                color = "#FF8C00"; // dark orange (M-1 through M-5)
+            case 'crosshatch':
+                add('path', { d: `${slash} ${backslash}`, fill: 'none' });
                 break;
-            case "P":
-                color = "#800080"; // purple (P-1 through P-13)
+            case 'checker':
+                add('rect', { width: half, height: half, stroke: 'none' });
+                add('rect', { x: half, y: half, width: half, height: half, stroke: 'none' });
                 break;
-            default:
-                color = "#404040"; // gray for unrecognized easelBoardId
         }
+        tile.appendChild(marks);
 
-        return color;
+        this.getPatternDefs().appendChild(tile);
+        return tileId;
     }
 
-    isLoneMarkerBoard(easelBoard) {
-        return easelBoard ? this.loneMarkerBoards.has(easelBoard) : false;
+    /**
+     * Marker fills live in a small SVG of their own, so the table icons and the info panel
+     * can use them too, even while the map itself is hidden (list view)
+     */
+    getPatternDefs() {
+        let defs = document.getElementById('marker-pattern-defs');
+        if (!defs) {
+            const holder = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            holder.setAttribute('width', 0);
+            holder.setAttribute('height', 0);
+            holder.setAttribute('aria-hidden', 'true');
+            holder.setAttribute('focusable', 'false');
+            holder.style.position = 'absolute';
+            defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            defs.setAttribute('id', 'marker-pattern-defs');
+            holder.appendChild(defs);
+            document.body.appendChild(holder);
+        }
+        return defs;
+    }
+
+    /**
+     * Re-apply the marker fills and text colors, e.g. after switching color-blind safe mode
+     */
+    refreshMarkerStyles() {
+        this.layoutElements.forEach(layoutElement => {
+            const sides = layoutElement.type === 'poster-mount' ? { A: layoutElement.sideA, B: layoutElement.sideB }
+                : layoutElement.type === 'lone-marker' ? { lone: layoutElement.poster }
+                : {};
+
+            Object.keys(sides).forEach(side => {
+                const poster = sides[side];
+                if (!poster || !layoutElement.element) return;
+
+                const circle = layoutElement.element.querySelector(side === 'lone' ? '.color-marker' : `.color-marker[data-side="${side}"]`);
+                const text = layoutElement.element.querySelector(`text[data-label-for="${side}"]`);
+                if (circle) {
+                    circle.setAttribute('fill', this.getMarkerFill(poster));
+                }
+                if (text) {
+                    this.applyMarkerTextColor(text, poster);
+                }
+            });
+        });
+    }
+
+    /**
+     * Color the easel text on a marker. Text over a split or patterned marker crosses
+     * several colors, so it is drawn white with a dark halo to stay readable on all of them.
+     * @param {SVGTextElement} textElement - Marker text
+     * @param {Object} poster - { easelBoard, category }
+     */
+    applyMarkerTextColor(textElement, poster) {
+        ['stroke', 'stroke-width', 'stroke-linejoin', 'paint-order'].forEach(name => textElement.removeAttribute(name));
+        const attributes = this.getMarkerTextAttributes(poster);
+        Object.keys(attributes).forEach(name => textElement.setAttribute(name, attributes[name]));
+    }
+
+    /**
+     * SVG attributes for the easel text on a marker, see applyMarkerTextColor()
+     * @returns {Object} e.g. { fill: 'black' }
+     */
+    getMarkerTextAttributes(poster) {
+        const styles = this.getDisciplineStyles(poster);
+        if (styles.length > 1 || styles[0].pattern !== 'solid') {
+            return {
+                fill: 'white',
+                stroke: 'rgba(0, 0, 0, 0.75)',
+                'stroke-width': 2,
+                'stroke-linejoin': 'round',
+                'paint-order': 'stroke'
+            };
+        }
+
+        return { fill: this.getTextColorByEaselBoardId(poster?.easelBoard) };
     }
 
     /**
@@ -123,21 +433,21 @@ class LayoutAPI {
      * @returns {string} Text color (white or black)
      */
     getTextColorForBackground(backgroundColor) {
-        // Light/bright colors that need black text for better contrast
-        const lightColors = ['#87CEEB', '#20B2AA', '#FFA500', '#FFD700']; // Light blue, light teal, bright orange, gold
-        
-        if (lightColors.includes(backgroundColor)) {
-            return 'black';
+        // Prefer the text color configured for a category with this color
+        const configured = this.categories.getAllCategories()
+            .find(category => category.color.toLowerCase() === (backgroundColor || '').toLowerCase());
+        if (configured) {
+            return configured.textColor;
         }
-        
-        // Default to white for all other colors
-        return 'white';
+
+        return this.categories.getContrastColor(backgroundColor);
     }
 
     /**
      * Add an SVG element to the layout
      * @param {Object} config - Layout configuration
      * @param {string} config.id - Unique identifier
+     * @param {string} [config.name] - Place name used to describe nearby markers ("Strauss Plaza")
      * @param {string} config.svgFile - Path to SVG file or inline SVG content
      * @param {Object} config.position - Position configuration
      * @param {number} config.position.x - X coordinate
@@ -177,9 +487,10 @@ class LayoutAPI {
      * Add a simple shape to the layout
      * @param {Object} config - Shape configuration
      * @param {string} config.id - Unique identifier
-     * @param {string} config.type - Shape type (rect, circle, polygon, path)
+     * @param {string} config.type - Shape type (rect, circle, polygon, path, text)
      * @param {Object} config.geometry - Shape-specific geometry
      * @param {Object} config.position - Position configuration
+     * @param {string} [config.text] - Text content for 'text' shapes
      * @param {Object} [config.style] - Style configuration
      * @param {boolean} [config.interactive] - Whether element should be clickable
      */
@@ -189,13 +500,154 @@ class LayoutAPI {
         this.layoutElements.set(config.id, {
             ...config,
             element: element,
-            type: 'shape'
+            type: 'shape',
+            shapeType: config.type
+        });
+
+        this.renderElement(config.id);
+        return config.id;
+    }
+
+    /**
+     * Add a text label to the layout (building names, landmarks)
+     * @param {Object} config - Label configuration
+     * @param {string} config.id - Unique identifier
+     * @param {string} config.text - Label text
+     * @param {Object} config.position - Anchor point
+     * @param {number} config.position.x - X coordinate
+     * @param {number} config.position.y - Y coordinate
+     * @param {string} [config.anchor] - Which part of the text sits on the anchor point: 'start', 'middle' or 'end'
+     * @param {number} [config.rotation] - Rotation in degrees around the anchor point
+     * @param {Object} [config.font] - { size, family, weight }
+     * @param {Object} [config.style] - { fill, opacity }
+     * @param {Object|boolean} [config.halo] - { color, width } outline behind the text, or false for none
+     * @param {boolean} [config.scaleWithZoom] - Grow with the map instead of keeping the same on-screen size
+     */
+    addLabel(config) {
+        const element = this.createLabelElement(config);
+
+        this.layoutElements.set(config.id, {
+            ...config,
+            element: element,
+            type: 'label'
         });
 
         this.renderElement(config.id);
+        this.updateLabelScale();
         return config.id;
     }
 
+    /**
+     * Create label SVG element: an outer group positioned by translate() (so updatePosition works)
+     * and an inner group that counter-scales against the map zoom
+     */
+    createLabelElement(config) {
+        const defaults = LayoutAPI.LABEL_DEFAULTS;
+        const font = { ...defaults.font, ...config.font };
+        const style = { ...defaults.style, ...config.style };
+        const halo = config.halo === false ? null : { ...defaults.halo, ...config.halo };
+
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('id', config.id);
+        group.setAttribute('class', 'map-label');
+        group.setAttribute('pointer-events', 'none');
+
+        const transform = this.buildTransform(config);
+        if (transform) {
+            group.setAttribute('transform', transform);
+        }
+
+        const scaleGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        scaleGroup.setAttribute('class', 'map-label-scale');
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', 0);
+        text.setAttribute('y', 0);
+        text.setAttribute('text-anchor', config.anchor || 'middle');
+        text.setAttribute('dominant-baseline', 'central');
+        text.setAttribute('font-size', font.size);
+        text.setAttribute('font-family', font.family);
+        text.setAttribute('font-weight', font.weight);
+        text.setAttribute('fill', style.fill);
+        if (style.opacity !== undefined) {
+            text.setAttribute('opacity', style.opacity);
+        }
+        if (config.rotation) {
+            text.setAttribute('transform', `rotate(${config.rotation})`);
+        }
+        if (halo) {
+            text.setAttribute('stroke', halo.color);
+            text.setAttribute('stroke-width', halo.width);
+            text.setAttribute('stroke-linejoin', 'round');
+            text.setAttribute('paint-order', 'stroke');
+        }
+        text.style.textRendering = 'optimizeLegibility';
+        text.textContent = config.text || '';
+
+        scaleGroup.appendChild(text);
+        group.appendChild(scaleGroup);
+        return group;
+    }
+
+    /**
+     * Keep labels the same on-screen size at every zoom level
+     */
+    updateLabelScale() {
+        if (!this.map) return;
+
+        const zoom = this.map.currentZoom || 1;
+        const scale = `scale(${Math.round((1 / zoom) * 10000) / 10000})`;
+
+        this.layoutElements.forEach(layoutElement => {
+            if (layoutElement.type !== 'label' || layoutElement.scaleWithZoom) return;
+
+            const scaleGroup = layoutElement.element.querySelector('.map-label-scale');
+            if (scaleGroup && scaleGroup.getAttribute('transform') !== scale) {
+                scaleGroup.setAttribute('transform', scale);
+            }
+        });
+    }
+
+    /**
+     * Get the rendered size of an element, including its own scale
+     * @param {SVGElement} element - Rendered element
+     * @returns {Object} { width, height }
+     */
+    getSVGDimensions(element) {
+        if (!element || typeof element.getBBox !== 'function') {
+            return { width: 0, height: 0 };
+        }
+
+        try {
+            const box = element.getBBox();
+            const matrix = element.transform?.baseVal?.consolidate()?.matrix;
+            const scaleX = matrix ? Math.hypot(matrix.a, matrix.b) : 1;
+            const scaleY = matrix ? Math.hypot(matrix.c, matrix.d) : 1;
+            return { width: box.width * scaleX, height: box.height * scaleY };
+        } catch (error) {
+            // getBBox throws for elements that aren't rendered yet
+            return { width: 0, height: 0 };
+        }
+    }
+
+    /**
+     * Named parts of the venue (buildings, the plaza) as rectangles in map coordinates, used to
+     * describe where a marker is. Elements are named with a "name" in data/venue-layout.json.
+     * @returns {Array} [{ id, name, x, y, width, height }]
+     */
+    getAreas() {
+        const areas = [];
+        this.layoutElements.forEach((layoutElement, id) => {
+            if (!layoutElement.name || !layoutElement.position) return;
+
+            const { width, height } = layoutElement.geometry || this.getSVGDimensions(layoutElement.element);
+            if (!width || !height) return;
+
+            areas.push({ id, name: layoutElement.name, x: layoutElement.position.x, y: layoutElement.position.y, width, height });
+        });
+        return areas;
+    }
+
     /**
      * Position elements relative to other elements
      * @param {Object} config - Relative positioning configuration
@@ -368,12 +820,29 @@ class LayoutAPI {
                 element.setAttribute('d', geometry.d);
                 break;
 
+            case 'text':
+                // Centered on position; geometry.rotate turns it around that point
+                element = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                element.setAttribute('x', position.x);
+                element.setAttribute('y', position.y);
+                element.setAttribute('text-anchor', geometry?.anchor || 'middle');
+                element.setAttribute('dominant-baseline', 'central');
+                if (geometry?.rotate) {
+                    element.setAttribute('transform', `rotate(${geometry.rotate} ${position.x} ${position.y})`);
+                }
+                if (style.fontSize) element.setAttribute('font-size', style.fontSize);
+                if (style.fontFamily) element.setAttribute('font-family', style.fontFamily);
+                if (style.fontWeight) element.setAttribute('font-weight', style.fontWeight);
+                element.style.textRendering = 'optimizeLegibility';
+                element.textContent = config.text || '';
+                break;
+
             default:
                 throw new Error(`Unknown shape type: ${type}`);
         }
 
         // Apply styles
-        element.setAttribute('fill', style.fill || '#D9D9D9');
+        element.setAttribute('fill', style.fill || (type === 'text' ? '#000' : '#D9D9D9'));
         if (style.stroke) element.setAttribute('stroke', style.stroke);
         if (style.strokeWidth) element.setAttribute('stroke-width', style.strokeWidth);
         if (style.opacity) element.setAttribute('opacity', style.opacity);
@@ -483,6 +952,9 @@ class LayoutAPI {
         if (layoutElement.type === 'poster-mount' || layoutElement.type === 'lone-marker') {
             // Poster mounts and lone markers always go to the top layer
             targetGroup = this.posterLayer;
+        } else if (layoutElement.type === 'label') {
+            // Labels sit above buildings and shapes but below the posters
+            targetGroup = this.map.markersGroup;
         } else if (layoutElement.zIndex && layoutElement.zIndex > 100) {
             targetGroup = this.map.markersGroup;
         } else {
@@ -525,26 +997,244 @@ class LayoutAPI {
 
     /**
      * Export layout configuration
+     * @returns {Object} Element ID -> settings, in render order. `importLayout()` rebuilds the same layout from it.
      */
     exportLayout() {
         const layout = {};
         this.layoutElements.forEach((element, id) => {
-            layout[id] = {
-                id: element.id,
-                type: element.type,
-                position: element.position,
-                transform: element.transform,
-                style: element.style,
-                interactive: element.interactive
+            const entry = {
+                id: element.id || id,
+                type: element.type
             };
+            LayoutAPI.EXPORT_FIELDS.forEach(field => {
+                if (element[field] !== undefined) {
+                    // Copy so later edits to the layout don't change the exported document
+                    entry[field] = JSON.parse(JSON.stringify(element[field]));
+                }
+            });
+            layout[id] = entry;
         });
         return layout;
     }
 
+    /**
+     * Rebuild elements from an `exportLayout()` document
+     * @param {Object|string} layoutDocument - Exported layout (object or JSON text)
+     * @param {Object} [options]
+     * @param {boolean} [options.clear] - Remove existing elements first
+     * @returns {Promise<Array>} IDs of the imported elements
+     */
+    async importLayout(layoutDocument, options = {}) {
+        const layout = typeof layoutDocument === 'string' ? JSON.parse(layoutDocument) : layoutDocument;
+        const entries = Object.keys(layout).map(id => ({ ...layout[id], id: layout[id].id || id }));
+
+        if (options.clear) {
+            this.clear();
+        }
+
+        // Fetch building SVGs up front so they can still be added in document order
+        await Promise.all(entries
+            .filter(entry => entry.type === 'svg' && entry.svgFile)
+            .map(entry => this.loadSVG(entry.svgFile).catch(() => null)));
+
+        const imported = [];
+        for (const entry of entries) {
+            try {
+                switch (entry.type) {
+                    case 'svg':
+                        await this.addSVG(entry);
+                        break;
+                    case 'shape':
+                        this.addShape({ ...entry, type: entry.shapeType });
+                        break;
+                    case 'label':
+                        this.addLabel(entry);
+                        break;
+                    case 'poster-mount':
+                        this.addPosterMount(entry);
+                        break;
+                    case 'lone-marker':
+                        this.addLoneMarker(entry);
+                        break;
+                    default:
+                        console.warn(`Skipping layout element ${entry.id} with unknown type "${entry.type}"`);
+                        continue;
+                }
+                imported.push(entry.id);
+            } catch (error) {
+                console.error(`Error importing layout element ${entry.id}:`, error);
+            }
+        }
+
+        console.log(`Imported ${imported.length} layout elements`);
+        return imported;
+    }
+
+    /**
+     * Load and import a layout document, e.g. data/venue-layout.json
+     * @param {string} layoutUrl - URL to the exported layout JSON
+     * @param {Object} [options] - See importLayout()
+     */
+    async loadLayout(layoutUrl, options = {}) {
+        try {
+            const response = await fetch(layoutUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await this.importLayout(await response.json(), options);
+        } catch (error) {
+            console.error(`Error loading layout ${layoutUrl}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Structured students and mentors of a poster (posters from older bundles are parsed on the fly)
+     * @returns {Object} { students: [...], mentors: [...] }, see PeopleParser.fromRecord()
+     */
+    getPeople(poster) {
+        return poster.people || PeopleParser.fromRecord(poster);
+    }
+
+    /**
+     * Fill the info panel with a poster's details
+     * @param {Object} poster - Poster information
+     * @param {Object} [options]
+     * @param {number} [options.pillFontSize] - Easel pill font size for short IDs (longer IDs step down)
+     */
+    renderPosterInfo(poster, options = {}) {
+        if (!this.map || !this.map.infoPanel) {
+            return;
+        }
+
+        const easel = poster.easelBoard || poster.session || 'N/A';
+        const field = (name, text) => (this.infoHighlighter && text ? this.infoHighlighter(poster, name, text) : text);
+        const title = field('title', poster.title) || 'Poster Information';
+        // The pill matches the poster's marker, pie slices and patterns included
+        const fill = this.getMarkerFill(poster);
+        const textAttributes = this.getMarkerTextAttributes(poster);
+        const textStyle = Object.keys(textAttributes).map(name => `${name}="${textAttributes[name]}"`).join(' ');
+        const baseFontSize = options.pillFontSize || 12;
+        const fontSize = easel.length <= 2 ? baseFontSize
+            : easel.length <= 4 ? baseFontSize - 2
+            : easel.length <= 6 ? baseFontSize - 3
+            : baseFontSize - 4;
+
+        // Star toggle (clicks are handled by the page, see the favorites wiring in index.html)
+        let favoriteButton = '';
+        if (poster.easelBoard && window.favorites) {
+            const starred = window.favorites.has(poster.easelBoard);
+            favoriteButton = `
+                <button type="button" class="favorite-toggle favorite-toggle--panel" data-easel="${poster.easelBoard}"
+                        aria-pressed="${starred}" aria-label="${starred ? 'Remove from' : 'Add to'} My posters"
+                        title="${starred ? 'Remove from' : 'Add to'} My posters"></button>
+            `;
+        }
+
+        this.map.infoTitle.innerHTML = `
+            <span class="easel-pill" data-easel="${easel}">
+                <svg class="easel-pill__svg" viewBox="0 0 36 36" role="presentation">
+                    <circle cx="18" cy="18" r="16" fill="${fill}" stroke="white" stroke-width="2"></circle>
+                    <text x="18" y="18" ${textStyle} font-size="${fontSize}" dominant-baseline="middle" text-anchor="middle">${easel}</text>
+                </svg>
+            </span>
+            <span class="title-text">${title}</span>
+            ${favoriteButton}
+        `;
+        // Names only; the mentors' titles, departments and degrees are one click away
+        const people = this.getPeople(poster);
+        const students = PeopleParser.formatNames(people.students);
+        const mentors = PeopleParser.formatNames(people.mentors);
+        this.map.infoDescription.innerHTML = `
+            <p><strong>Student(s):</strong> ${field('students', students) || poster.authors || 'N/A'}</p>
+            <p><strong>Faculty/Mentor:</strong> ${field('facultyMentor', mentors) || 'N/A'}</p>
+            ${PeopleParser.credentialsHtml(people.mentors)}
+            <p><strong>Category:</strong> ${field('category', poster.category) || 'N/A'}</p>
+            ${window.judging ? window.judging.getInfoPanelMarkup(poster) : ''}
+        `;
+    }
+
+    /**
+     * Keep the info panel open while the pointer is over it, so its buttons can be clicked
+     */
+    bindInfoPanelHover() {
+        const panel = this.map.infoPanel;
+        if (!panel || panel.dataset.hoverBound) {
+            return;
+        }
+        panel.dataset.hoverBound = 'true';
+
+        panel.addEventListener('mouseenter', () => {
+            if (window.posterInfoTimer) {
+                clearTimeout(window.posterInfoTimer);
+                window.posterInfoTimer = null;
+            }
+        });
+        panel.addEventListener('mouseleave', () => {
+            if (this.map.infoPinned) {
+                return;
+            }
+            window.posterInfoTimer = setTimeout(() => {
+                panel.classList.remove('active');
+                window.posterInfoTimer = null;
+            }, 200);
+        });
+    }
+
+    /**
+     * Draw a star badge next to every starred marker in the poster layer
+     * @param {Function} isFavorite - easelBoard => boolean
+     */
+    updateFavoriteBadges(isFavorite) {
+        if (!this.posterLayer) {
+            return;
+        }
+
+        this.posterLayer.querySelectorAll('.color-marker[data-easel]').forEach(circle => {
+            const easel = circle.getAttribute('data-easel');
+            const group = circle.parentNode;
+            const side = circle.getAttribute('data-side') || 'lone';
+            const existing = group.querySelector(`.favorite-badge[data-badge-for="${side}"]`);
+            const starred = Boolean(easel) && isFavorite(easel);
+
+            if (!starred) {
+                if (existing) {
+                    existing.remove();
+                }
+                return;
+            }
+            if (existing) {
+                return;
+            }
+
+            // Small five-point star on the marker's upper-right edge
+            const cx = parseFloat(circle.getAttribute('cx')) + 11;
+            const cy = parseFloat(circle.getAttribute('cy')) - 11;
+            const points = [];
+            for (let i = 0; i < 10; i++) {
+                const radius = i % 2 === 0 ? 7 : 3;
+                const angle = -Math.PI / 2 + i * Math.PI / 5;
+                points.push(`${(cx + radius * Math.cos(angle)).toFixed(2)},${(cy + radius * Math.sin(angle)).toFixed(2)}`);
+            }
+
+            const badge = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            badge.setAttribute('class', 'favorite-badge');
+            badge.setAttribute('data-badge-for', side);
+            badge.setAttribute('points', points.join(' '));
+            badge.setAttribute('fill', '#FFC72C');
+            badge.setAttribute('stroke', '#3d2e00');
+            badge.setAttribute('stroke-width', 1);
+            badge.setAttribute('stroke-linejoin', 'round');
+            badge.setAttribute('pointer-events', 'none');
+            group.appendChild(badge);
+        });
+    }
+
     /**
      * Add a lone marker for a single poster (not on a mount)
      * @param {Object} config - Lone marker configuration
      * @param {string} config.id - Unique identifier
+     * @param {string} [config.mountId] - Mount ID from Mounts.tsv the marker stands on
      * @param {Object} config.position - Position configuration
      * @param {number} config.position.x - X coordinate
      * @param {number} config.position.y - Y coordinate
@@ -602,7 +1292,7 @@ class LayoutAPI {
         marker.setAttribute('cx', 0);
         marker.setAttribute('cy', 0);
         marker.setAttribute('r', 14);
-        marker.setAttribute('fill', this.getColorByEaselBoardId(config.poster.easelBoard));
+        marker.setAttribute('fill', this.getMarkerFill(config.poster));
         marker.setAttribute('stroke', 'white');
         marker.setAttribute('stroke-width', 2);
         marker.style.cursor = 'pointer';
@@ -615,6 +1305,7 @@ class LayoutAPI {
 
         // Add text for the marker showing easel ID with dynamic sizing
         const markerText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        markerText.setAttribute('data-label-for', 'lone');
         markerText.setAttribute('x', 0);
         markerText.setAttribute('y', 1); // Slight vertical offset for better centering
         markerText.setAttribute('text-anchor', 'middle');
@@ -631,9 +1322,7 @@ class LayoutAPI {
         
         markerText.setAttribute('font-weight', 'bold');
         // Use dynamic text color based on background color for better contrast
-        const backgroundColor = this.getColorByEaselBoardId(config.poster.easelBoard);
-        const textColor = this.getTextColorForBackground(backgroundColor);
-        markerText.setAttribute('fill', textColor);
+        this.applyMarkerTextColor(markerText, config.poster);
         markerText.setAttribute('pointer-events', 'none'); // Make text non-interactive to prevent hover conflicts
         markerText.style.transition = 'font-size 0.2s cubic-bezier(0.34, 1.56, 0.64, 1)';
         markerText.textContent = easelBoard;
@@ -651,9 +1340,12 @@ class LayoutAPI {
         const isMultiTouchGestureActive = () => Boolean(window.posterMap && window.posterMap.isMultiTouchGesture);
 
         const activateMarker = () => {
-            marker.setAttribute('r', '16');
             marker.style.filter = 'drop-shadow(0 3px 8px rgba(0,0,0,0.3))';
+            if (this.isReducedMotion()) {
+                return;
+            }
 
+            marker.setAttribute('r', '16');
             if (!Number.isNaN(originalFontSize) && originalFontSize > 0) {
                 markerText.setAttribute('font-size', originalFontSize * 1.2);
             }
@@ -727,26 +1419,8 @@ class LayoutAPI {
                     return; // Only skip if moving extremely fast
                 }
                 
-                if (window.posterMap) {
-                    const easel = config.poster.easelBoard || 'N/A';
-                    const title = config.poster.title || 'Poster Information';
-                    const bgColor = window.layout?.getColorByEaselBoardId?.(easel) || '#404040';
-                    const textColor = window.layout?.getTextColorForBackground?.(bgColor) || 'white';
-                    const fontSize = easel.length <= 2 ? 13 : easel.length <= 4 ? 11 : easel.length <= 6 ? 10 : 9;
-                    window.posterMap.infoTitle.innerHTML = `
-                        <span class="easel-pill" data-easel="${easel}">
-                            <svg class="easel-pill__svg" viewBox="0 0 36 36" role="presentation">
-                                <circle cx="18" cy="18" r="16" fill="${bgColor}" stroke="white" stroke-width="2"></circle>
-                                <text x="18" y="18" fill="${textColor}" font-size="${fontSize}" dominant-baseline="middle" text-anchor="middle">${easel}</text>
-                            </svg>
-                        </span>
-                        <span class="title-text">${title}</span>
-                    `;
-                    window.posterMap.infoDescription.innerHTML = `
-                        <p><strong>Student(s):</strong> ${config.poster.students || 'N/A'}</p>
-                        <p><strong>Faculty/Mentor:</strong> ${config.poster.facultyMentor || 'N/A'}</p>
-                        <p><strong>Category:</strong> ${config.poster.category || 'N/A'}</p>
-                    `;
+                if (window.posterMap && !window.posterMap.infoPinned) {
+                    this.renderPosterInfo(config.poster, { pillFontSize: 13 });
                     
                     // Position based on marker location and content length
                     positionInfoPanelSmart(marker, config.poster);
@@ -763,7 +1437,7 @@ class LayoutAPI {
             // Calculate content length to determine tooltip size
             const totalContentLength = (poster.title || '').length + 
                                      (poster.students || '').length + 
-                                     (poster.facultyMentor || '').length + 
+                                     PeopleParser.formatNames(this.getPeople(poster).mentors).length + 
                                      (poster.category || '').length;
             
             // Dynamic sizing based on content length
@@ -905,7 +1579,7 @@ class LayoutAPI {
             }
             
             window.posterInfoTimer = setTimeout(() => {
-                if (window.posterMap && window.posterMap.infoPanel) {
+                if (window.posterMap && window.posterMap.infoPanel && !window.posterMap.infoPinned) {
                     window.posterMap.infoPanel.classList.remove('active');
                 }
                 window.posterInfoTimer = null;
@@ -1030,7 +1704,7 @@ class LayoutAPI {
         sideAIndicator.setAttribute('cx', offsetA.x);
         sideAIndicator.setAttribute('cy', offsetA.y);
         sideAIndicator.setAttribute('r', 14); // Same size for all mounts
-        sideAIndicator.setAttribute('fill', this.getColorByEaselBoardId(config.sideA.easelBoard));
+        sideAIndicator.setAttribute('fill', this.getMarkerFill(config.sideA));
         sideAIndicator.setAttribute('stroke', 'white');
         sideAIndicator.setAttribute('stroke-width', 2);
         sideAIndicator.style.cursor = 'pointer';
@@ -1044,6 +1718,7 @@ class LayoutAPI {
         
         // Add text for side A showing easel ID with dynamic sizing
         const sideAText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        sideAText.setAttribute('data-label-for', 'A');
         sideAText.setAttribute('x', offsetA.x);
         sideAText.setAttribute('y', offsetA.y + 1); // Slight vertical offset for better centering
         sideAText.setAttribute('text-anchor', 'middle');
@@ -1060,9 +1735,7 @@ class LayoutAPI {
         
         sideAText.setAttribute('font-weight', 'bold');
         // Use dynamic text color based on background color for better contrast
-        const sideABackgroundColor = this.getColorByEaselBoardId(config.sideA.easelBoard);
-        const sideATextColor = this.getTextColorForBackground(sideABackgroundColor);
-        sideAText.setAttribute('fill', sideATextColor);
+        this.applyMarkerTextColor(sideAText, config.sideA);
         sideAText.setAttribute('pointer-events', 'none'); // Make text non-interactive to prevent hover conflicts
         sideAText.style.transition = 'font-size 0.2s cubic-bezier(0.34, 1.56, 0.64, 1)';
         sideAText.textContent = sideAEaselBoard;
@@ -1082,7 +1755,7 @@ class LayoutAPI {
         sideBIndicator.setAttribute('cx', offsetB.x);
         sideBIndicator.setAttribute('cy', offsetB.y);
         sideBIndicator.setAttribute('r', 14); // Same size for all mounts
-        sideBIndicator.setAttribute('fill', this.getColorByEaselBoardId(config.sideB.easelBoard));
+        sideBIndicator.setAttribute('fill', this.getMarkerFill(config.sideB));
         sideBIndicator.setAttribute('stroke', 'white');
         sideBIndicator.setAttribute('stroke-width', 2);
         sideBIndicator.style.cursor = 'pointer';
@@ -1096,6 +1769,7 @@ class LayoutAPI {
         
         // Add text for side B showing easel ID with dynamic sizing
         const sideBText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        sideBText.setAttribute('data-label-for', 'B');
         sideBText.setAttribute('x', offsetB.x);
         sideBText.setAttribute('y', offsetB.y + 1); // Slight vertical offset for better centering
         sideBText.setAttribute('text-anchor', 'middle');
@@ -1112,9 +1786,7 @@ class LayoutAPI {
         
         sideBText.setAttribute('font-weight', 'bold');
         // Use dynamic text color based on background color for better contrast
-        const sideBBackgroundColor = this.getColorByEaselBoardId(config.sideB.easelBoard);
-        const sideBTextColor = this.getTextColorForBackground(sideBBackgroundColor);
-        sideBText.setAttribute('fill', sideBTextColor);
+        this.applyMarkerTextColor(sideBText, config.sideB);
         sideBText.setAttribute('pointer-events', 'none'); // Make text non-interactive to prevent hover conflicts
         sideBText.style.transition = 'font-size 0.2s cubic-bezier(0.34, 1.56, 0.64, 1)';
         sideBText.textContent = sideBEaselBoard;
@@ -1131,9 +1803,12 @@ class LayoutAPI {
         const isMultiTouchGestureActive = () => Boolean(window.posterMap && window.posterMap.isMultiTouchGesture);
 
         const activateIndicator = (indicator, text) => {
-            indicator.setAttribute('r', '16');
             indicator.style.filter = 'drop-shadow(0 3px 8px rgba(0,0,0,0.3))';
+            if (this.isReducedMotion()) {
+                return;
+            }
 
+            indicator.setAttribute('r', '16');
             const originalFontSize = Number(text.getAttribute('data-original-font-size'));
             if (!Number.isNaN(originalFontSize) && originalFontSize > 0) {
                 text.setAttribute('font-size', originalFontSize * 1.2);
@@ -1262,26 +1937,8 @@ class LayoutAPI {
                     return; // Only skip if moving extremely fast
                 }
                 
-                if (window.posterMap) {
-                    const easel = poster.easelBoard || poster.session || 'N/A';
-                    const title = poster.title || 'Poster Information';
-                    const bgColor = window.layout?.getColorByEaselBoardId?.(easel) || '#404040';
-                    const textColor = window.layout?.getTextColorForBackground?.(bgColor) || 'white';
-                    const fontSize = easel.length <= 2 ? 12 : easel.length <= 4 ? 10 : easel.length <= 6 ? 9 : 8;
-                    window.posterMap.infoTitle.innerHTML = `
-                        <span class="easel-pill" data-easel="${easel}">
-                            <svg class="easel-pill__svg" viewBox="0 0 36 36" role="presentation">
-                                <circle cx="18" cy="18" r="16" fill="${bgColor}" stroke="white" stroke-width="2"></circle>
-                                <text x="18" y="18" fill="${textColor}" font-size="${fontSize}" dominant-baseline="middle" text-anchor="middle">${easel}</text>
-                            </svg>
-                        </span>
-                        <span class="title-text">${title}</span>
-                    `;
-                    window.posterMap.infoDescription.innerHTML = `
-                        <p><strong>Student(s):</strong> ${poster.students || poster.authors || 'N/A'}</p>
-                        <p><strong>Faculty/Mentor:</strong> ${poster.facultyMentor || 'N/A'}</p>
-                        <p><strong>Category:</strong> ${poster.category || 'N/A'}</p>
-                    `;
+                if (window.posterMap && !window.posterMap.infoPinned) {
+                    this.renderPosterInfo(poster, { pillFontSize: 12 });
                     
                     // Position based on marker location and content length
                     positionInfoPanelSmart(markerElement, poster);
@@ -1298,7 +1955,7 @@ class LayoutAPI {
             // Calculate content length to determine tooltip size
             const totalContentLength = (poster.title || '').length + 
                                      (poster.students || poster.authors || '').length + 
-                                     (poster.facultyMentor || '').length + 
+                                     PeopleParser.formatNames(this.getPeople(poster).mentors).length + 
                                      (poster.category || '').length;
             
             // Dynamic sizing based on content length
@@ -1440,7 +2097,7 @@ class LayoutAPI {
             }
             
             window.posterInfoTimer = setTimeout(() => {
-                if (window.posterMap && window.posterMap.infoPanel) {
+                if (window.posterMap && window.posterMap.infoPanel && !window.posterMap.infoPinned) {
                     window.posterMap.infoPanel.classList.remove('active');
                 }
                 window.posterInfoTimer = null;
@@ -1469,19 +2126,20 @@ class LayoutAPI {
             // Load both TSV files
             const [posterResponse, mountResponse] = await Promise.all([
                 fetch(posterTsvUrl),
-                fetch(mountTsvUrl)
+                fetch(mountTsvUrl),
+                this.categories.ready // Marker colors come from the category registry
             ]);
             
             const posterTsvText = await posterResponse.text();
             const mountTsvText = await mountResponse.text();
+            this.sourceTexts = new Map([[posterTsvUrl, posterTsvText], [mountTsvUrl, mountTsvText]]);
             
             const posters = this.parsePosterTSV(posterTsvText);
             const mounts = this.parseMountTSV(mountTsvText);
             
             console.log(`Loaded ${posters.length} posters and ${mounts.length} mounts from TSV files`);
             
-            // Create poster mounts from the combined data
-            this.createPosterMountsFromSeparateData(posters, mounts, layoutConfig);
+            this.applyPosterData(posters, mounts, layoutConfig);
             
         } catch (error) {
             console.error('Error loading TSV files:', error);
@@ -1489,71 +2147,87 @@ class LayoutAPI {
     }
 
     /**
-     * Parse poster TSV data into poster objects
+     * Load posters and mounts from a JSON bundle built by tools/validate-data.js --out
+     * @param {string} bundleUrl - URL to the bundle, e.g. 'data/poster-data.json'
+     * @param {Object} layoutConfig - Configuration for poster layout
      */
-    parsePosterTSV(tsvText) {
-        const lines = tsvText.split('\n');
-        const headers = lines[0].split('\t').map(h => h.trim());
-        const findIndex = (names, defaultIndex = -1) => {
-            const searchTerms = Array.isArray(names) ? names : [names];
-            for (const name of searchTerms) {
-                const index = headers.indexOf(name);
-                if (index !== -1) {
-                    return index;
-                }
-            }
-            return defaultIndex;
-        };
-        const getValue = (values, index) => {
-            if (index < 0 || index >= values.length) {
-                return '';
+    async loadPostersFromBundle(bundleUrl, layoutConfig = {}) {
+        try {
+            const [bundleResponse] = await Promise.all([
+                fetch(bundleUrl),
+                this.categories.ready
+            ]);
+            
+            if (!bundleResponse.ok) {
+                throw new Error(`HTTP ${bundleResponse.status}`);
             }
-            const value = values[index];
-            return typeof value === 'string' ? value.trim() : '';
-        };
-        const posters = [];
-        
-        // Find column indices for poster data
-        const categoryIndex = findIndex(['Poster Category', 'Category']);
-        const easelBoardIndex = findIndex('Easel Board', 1);
-        const titleIndex = findIndex('Poster Title', 2);
-        const studentsIndex = findIndex('Student(s)', 3);
-        const mentorIndex = findIndex('Faculty/Mentor', 4);
-        const mountIdIndex = findIndex('Mount ID');
-        const sideIndex = findIndex('Side');
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
             
-            const values = line.split('\t');
-            if (values.length >= 5) {
-                const poster = {
-                    category: getValue(values, categoryIndex),
-                    easelBoard: getValue(values, easelBoardIndex),
-                    title: getValue(values, titleIndex),
-                    students: getValue(values, studentsIndex),
-                    facultyMentor: getValue(values, mentorIndex)
-                };
-                
-                // Add mount and side data if columns exist
-                if (mountIdIndex >= 0) {
-                    const mountValue = getValue(values, mountIdIndex);
-                    if (mountValue) {
-                        poster.mountId = mountValue;
-                    }
-                }
-                if (sideIndex >= 0) {
-                    const sideValue = getValue(values, sideIndex);
-                    if (sideValue) {
-                        poster.side = sideValue;
-                    }
-                }
-                
-                posters.push(poster);
+            const bundle = await bundleResponse.json();
+            if (bundle.version !== LayoutAPI.BUNDLE_VERSION) {
+                throw new Error(`Unsupported bundle version ${bundle.version}`);
             }
+            
+            console.log(`Loaded ${bundle.posters.length} posters and ${bundle.mounts.length} mounts from ${bundleUrl}`);
+            
+            this.parseErrors = [];
+            this.applyPosterData(bundle.posters, bundle.mounts, layoutConfig);
+            
+        } catch (error) {
+            console.error('Error loading poster bundle:', error);
         }
+    }
+
+    /**
+     * Keep parsed posters/mounts and create their markers
+     */
+    applyPosterData(posters, mounts, layoutConfig) {
+        this.posters = posters;
+        this.mounts = mounts;
+        this.buildDisciplineIndex(posters);
         
+        // Create poster mounts from the combined data
+        this.createPosterMountsFromSeparateData(posters, mounts, layoutConfig);
+    }
+
+    /**
+     * Parse poster TSV data into poster objects
+     */
+    parsePosterTSV(tsvText) {
+        const result = DelimitedParser.parse(tsvText, {
+            columns: LayoutAPI.POSTER_COLUMNS,
+            required: ['easelBoard']
+        });
+        const posters = [];
+        const errors = result.errors.slice();
+
+        result.records.forEach(record => {
+            if (!record.easelBoard) {
+                errors.push({ line: record.line, message: 'Missing Easel Board' });
+                return;
+            }
+
+            const people = PeopleParser.fromRecord(record);
+            const poster = {
+                category: record.category,
+                easelBoard: record.easelBoard,
+                title: record.title,
+                students: record.students,
+                facultyMentor: record.facultyMentor || people.mentors.map(mentor => mentor.name).join('; '),
+                people
+            };
+
+            // Add mount and side data if columns exist
+            if (record.mountId) {
+                poster.mountId = record.mountId;
+            }
+            if (record.side) {
+                poster.side = record.side;
+            }
+
+            posters.push(poster);
+        });
+
+        this.recordParseErrors('posters', errors);
         return posters;
     }
 
@@ -1561,40 +2235,173 @@ class LayoutAPI {
      * Parse mount TSV data into mount objects
      */
     parseMountTSV(tsvText) {
-        const lines = tsvText.split('\n');
-        const headers = lines[0].split('\t').map(h => h.trim());
+        const result = DelimitedParser.parse(tsvText, {
+            columns: LayoutAPI.MOUNT_COLUMNS,
+            required: ['mountId', 'xCoord', 'yCoord']
+        });
         const mounts = [];
-        
-        // Find column indices for mount data
-        const mountIdIndex = headers.indexOf('Mount ID') || 0;
-        const xCoordIndex = headers.indexOf('X Coordinate') || 1;
-        const yCoordIndex = headers.indexOf('Y Coordinate') || 2;
-        const orientationIndex = headers.indexOf('Orientation') || 3;
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = line.split('\t');
-            if (values.length >= 4) {
-                const mount = {
-                    mountId: values[mountIdIndex]?.trim(),
-                    xCoord: parseFloat(values[xCoordIndex]) || 0,
-                    yCoord: parseFloat(values[yCoordIndex]) || 0,
-                    orientation: values[orientationIndex]?.trim().toLowerCase() || 'vertical'
-                };
-                
-                mounts.push(mount);
+        const errors = result.errors.slice();
+
+        result.records.forEach(record => {
+            const xCoord = parseFloat(record.xCoord);
+            const yCoord = parseFloat(record.yCoord);
+
+            if (!record.mountId) {
+                errors.push({ line: record.line, message: 'Missing Mount ID' });
+                return;
             }
-        }
-        
+            if (!Number.isFinite(xCoord) || !Number.isFinite(yCoord)) {
+                errors.push({ line: record.line, message: `Invalid coordinates for mount ${record.mountId}` });
+                return;
+            }
+
+            mounts.push({
+                mountId: record.mountId,
+                xCoord,
+                yCoord,
+                orientation: record.orientation.toLowerCase() || 'vertical'
+            });
+        });
+
+        this.recordParseErrors('mounts', errors);
         return mounts;
     }
 
+    /**
+     * Keep parse errors for a data file and log them
+     * @param {string} source - 'posters' or 'mounts'
+     * @param {Array} errors - [{ line, message }]
+     */
+    recordParseErrors(source, errors) {
+        this.parseErrors = this.parseErrors.filter(error => error.source !== source)
+            .concat(errors.map(error => ({ source, ...error })));
+        if (this.map) {
+            // Headless callers report parseErrors themselves
+            DelimitedParser.reportErrors(source, errors);
+        }
+    }
+
     /**
      * Create poster mounts from separate poster and mount data
      */
     createPosterMountsFromSeparateData(posters, mounts, layoutConfig) {
+        this.groupPostersByMount(posters, mounts).forEach(plan => this.addMountPlan(plan));
+    }
+
+    /**
+     * Element ID a mount plan is drawn under
+     */
+    getMountPlanId(plan) {
+        return plan.type === 'lone' ? `lone-marker-${plan.poster.easelBoard}` : plan.mountId;
+    }
+
+    /**
+     * Create the poster mount or lone marker for a plan from groupPostersByMount()
+     */
+    addMountPlan(plan) {
+        if (plan.type === 'lone') {
+            return this.addLoneMarker({
+                id: this.getMountPlanId(plan),
+                mountId: plan.mountId,
+                position: plan.position,
+                orientation: plan.orientation,
+                poster: plan.poster
+            });
+        }
+
+        return this.addPosterMount({
+            id: plan.mountId,
+            position: plan.position,
+            orientation: plan.orientation,
+            sideA: plan.sideA,
+            sideB: plan.sideB
+        });
+    }
+
+    /**
+     * Everything a mount's markers show, for comparing a drawn mount with a new plan
+     * (a poster mount config or lone marker config works the same as a plan)
+     */
+    getMountSignature(config) {
+        const position = config.position || {};
+        return JSON.stringify([
+            position.x,
+            position.y,
+            (config.orientation || 'vertical').toLowerCase(),
+            config.sideA || null,
+            config.sideB || null,
+            config.poster || null
+        ]);
+    }
+
+    /**
+     * Replace the poster and mount data of a loaded map in place, e.g. after the TSVs were edited.
+     * Only mounts whose plan changed are rebuilt, so untouched markers keep their elements and state.
+     * @param {Array} posters - Parsed posters
+     * @param {Array} mounts - Parsed mounts
+     * @returns {Object} { added, removed, changed } element IDs and `easels`, a Set of the
+     *                   easel boards on the removed or rebuilt markers (old and new)
+     */
+    updatePosterData(posters, mounts) {
+        this.posters = posters;
+        this.mounts = mounts;
+        this.buildDisciplineIndex(posters);
+
+        const nextPlans = new Map();
+        this.groupPostersByMount(posters, mounts).forEach(plan => {
+            nextPlans.set(this.getMountPlanId(plan), plan);
+        });
+
+        const diff = { added: [], removed: [], changed: [], easels: new Set() };
+        const collectEasels = config => {
+            [config.sideA, config.sideB, config.poster].forEach(side => {
+                if (side && side.easelBoard && side.easelBoard !== 'Unassigned') {
+                    diff.easels.add(side.easelBoard);
+                }
+            });
+        };
+
+        Array.from(this.layoutElements.entries()).forEach(([id, element]) => {
+            if (element.type !== 'poster-mount' && element.type !== 'lone-marker') {
+                return;
+            }
+
+            const plan = nextPlans.get(id);
+            if (!plan) {
+                diff.removed.push(id);
+            } else if (this.getMountSignature(element) !== this.getMountSignature(plan)) {
+                diff.changed.push(id);
+            } else {
+                return;
+            }
+            collectEasels(element);
+            this.removeElement(id);
+        });
+
+        nextPlans.forEach((plan, id) => {
+            if (this.layoutElements.has(id)) {
+                return; // Unchanged
+            }
+            if (!diff.changed.includes(id)) {
+                diff.added.push(id);
+            }
+            collectEasels(plan);
+            this.addMountPlan(plan);
+        });
+
+        console.log(`Poster data updated: ${diff.added.length} mounts added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        return diff;
+    }
+
+    /**
+     * Work out what goes on each mount, without touching the DOM
+     * @param {Array} posters - Parsed posters
+     * @param {Array} mounts - Parsed mounts
+     * @returns {Array} Mount plans, either
+     *   { type: 'mount', mountId, position, orientation, sideA, sideB } or
+     *   { type: 'lone', mountId, position, orientation, poster } for lone marker boards
+     */
+    groupPostersByMount(posters, mounts) {
         // Create a map of mount data by mount ID for easy lookup
         const mountMap = new Map();
         mounts.forEach(mount => {
@@ -1612,104 +2419,100 @@ class LayoutAPI {
                 mountGroups.get(poster.mountId).push(poster);
             }
         });
-        
-        // Create poster mounts for each group
+
+        const toSide = poster => ({
+            title: poster.title,
+            students: poster.students,
+            facultyMentor: poster.facultyMentor,
+            people: poster.people,
+            category: poster.category,
+            easelBoard: poster.easelBoard
+        });
+        const plans = [];
         mountGroups.forEach((mountPosters, mountId) => {
             const mountData = mountMap.get(mountId);
-            if (!mountData) return;
+            const orientation = mountData.orientation || 'vertical';
+            const position = { x: mountData.xCoord, y: mountData.yCoord };
             
             const lonePoster = mountPosters.find(poster => this.isLoneMarkerBoard(poster.easelBoard));
             if (lonePoster && mountPosters.length === 1) {
-                this.addLoneMarker({
-                    id: `lone-marker-${lonePoster.easelBoard}`,
-                    position: { x: mountData.xCoord, y: mountData.yCoord },
-                    orientation: mountData.orientation,
-                    poster: {
-                        title: lonePoster.title,
-                        students: lonePoster.students,
-                        facultyMentor: lonePoster.facultyMentor,
-                        category: lonePoster.category,
-                        easelBoard: lonePoster.easelBoard
-                    }
-                });
+                plans.push({ type: 'lone', mountId, position, orientation, poster: toSide(lonePoster) });
                 return;
             }
             
-            const orientation = mountData.orientation || 'vertical';
-            const position = { x: mountData.xCoord, y: mountData.yCoord };
-            
             // Sort posters by their designated side
-            let sideAPosters = [];
-            let sideBPosters = [];
+            const sideAPosters = [];
+            const sideBPosters = [];
             
             mountPosters.forEach(poster => {
                 const side = poster.side;
-                if (orientation === 'horizontal') {
-                    // For horizontal: North goes to A, South goes to B
-                    if (side === 'North') {
-                        sideAPosters.push(poster);
-                    } else if (side === 'South') {
-                        sideBPosters.push(poster);
-                    } else {
-                        // Default assignment if no side specified
-                        if (sideAPosters.length === 0) {
-                            sideAPosters.push(poster);
-                        } else {
-                            sideBPosters.push(poster);
-                        }
-                    }
+                // For horizontal: North goes to A, South goes to B
+                // For vertical: West goes to A, East goes to B
+                const sideA = orientation === 'horizontal' ? 'North' : 'West';
+                const sideB = orientation === 'horizontal' ? 'South' : 'East';
+
+                if (side === sideA) {
+                    sideAPosters.push(poster);
+                } else if (side === sideB) {
+                    sideBPosters.push(poster);
+                } else if (sideAPosters.length === 0) {
+                    // Default assignment if no side specified
+                    sideAPosters.push(poster);
                 } else {
-                    // For vertical: West goes to A, East goes to B
-                    if (side === 'West') {
-                        sideAPosters.push(poster);
-                    } else if (side === 'East') {
-                        sideBPosters.push(poster);
-                    } else {
-                        // Default assignment if no side specified
-                        if (sideAPosters.length === 0) {
-                            sideAPosters.push(poster);
-                        } else {
-                            sideBPosters.push(poster);
-                        }
-                    }
+                    sideBPosters.push(poster);
                 }
             });
             
-            const sideAPoster = sideAPosters[0] || null;
-            const sideBPoster = sideBPosters[0] || null;
-            
-            this.addPosterMount({
-                id: mountId,
-                position: position,
-                orientation: orientation,
-                sideA: sideAPoster ? {
-                    title: sideAPoster.title,
-                    students: sideAPoster.students,
-                    facultyMentor: sideAPoster.facultyMentor,
-                    category: sideAPoster.category,
-                    easelBoard: sideAPoster.easelBoard
-                } : {
-                    title: 'Available Space',
-                    students: 'No poster assigned',
-                    facultyMentor: 'N/A',
-                    category: 'Available',
-                    easelBoard: 'Unassigned'
-                },
-                sideB: sideBPoster ? {
-                    title: sideBPoster.title,
-                    students: sideBPoster.students,
-                    facultyMentor: sideBPoster.facultyMentor,
-                    category: sideBPoster.category,
-                    easelBoard: sideBPoster.easelBoard
-                } : {
-                    title: 'Available Space',
-                    students: 'No poster assigned',
-                    facultyMentor: 'N/A',
-                    category: 'Available',
-                    easelBoard: 'Unassigned'
-                }
+            plans.push({
+                type: 'mount',
+                mountId,
+                position,
+                orientation,
+                sideA: sideAPosters[0] ? toSide(sideAPosters[0]) : this.createEmptySide(),
+                sideB: sideBPosters[0] ? toSide(sideBPosters[0]) : this.createEmptySide()
             });
         });
+
+        return plans;
+    }
+
+    /**
+     * Side data for a mount side without a poster
+     */
+    createEmptySide() {
+        return {
+            title: 'Available Space',
+            students: 'No poster assigned',
+            facultyMentor: 'N/A',
+            category: 'Available',
+            easelBoard: 'Unassigned'
+        };
+    }
+
+    /**
+     * Rebuild a poster mount or lone marker with changed settings (e.g. a new orientation),
+     * keeping its place in the layer
+     * @param {string} elementId - Element ID
+     * @param {Object} changes - Config values to override
+     * @returns {SVGElement|null} The new element
+     */
+    updateMount(elementId, changes = {}) {
+        const layoutElement = this.layoutElements.get(elementId);
+        if (!layoutElement || (layoutElement.type !== 'poster-mount' && layoutElement.type !== 'lone-marker')) {
+            return null;
+        }
+
+        const { element, type, ...config } = layoutElement;
+        const nextConfig = { ...config, ...changes };
+        const nextElement = type === 'lone-marker'
+            ? this.createLoneMarkerElement(nextConfig)
+            : this.createPosterMountElement(nextConfig);
+
+        if (element.parentNode) {
+            element.parentNode.replaceChild(nextElement, element);
+        }
+        this.layoutElements.set(elementId, { ...nextConfig, element: nextElement, type });
+        return nextElement;
     }
 
     /**
@@ -1895,6 +2698,334 @@ class LayoutAPI {
         }
     }
 
+    /**
+     * Load the walkway graph used for routing, e.g. data/walkways.json
+     * @param {string} walkwaysUrl - URL to { nodes: [{ id, x, y, entrance? }], edges: [[fromId, toId], ...] }
+     */
+    async loadWalkways(walkwaysUrl) {
+        try {
+            const response = await fetch(walkwaysUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.setWalkways(await response.json());
+        } catch (error) {
+            console.error(`Error loading walkways ${walkwaysUrl}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the walkway graph. Edges are walkable in both directions and weighted by their length.
+     * @param {Object} walkwayDocument - { nodes: [{ id, x, y, entrance? }], edges: [[fromId, toId], ...] }
+     * @returns {Object} { nodes: Map(id -> node), edges: [{ from, to, length }], adjacency: Map(id -> [{ to, length }]) }
+     */
+    setWalkways(walkwayDocument) {
+        const nodes = new Map();
+        const edges = [];
+        const adjacency = new Map();
+
+        (walkwayDocument.nodes || []).forEach(node => {
+            if (!node.id || !Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+                console.warn('Skipping walkway node without an id and x/y:', node);
+                return;
+            }
+            if (nodes.has(node.id)) {
+                console.warn(`Duplicate walkway node ${node.id}; keeping the first one`);
+                return;
+            }
+            nodes.set(node.id, { ...node });
+            adjacency.set(node.id, []);
+        });
+
+        (walkwayDocument.edges || []).forEach(edge => {
+            const [from, to] = Array.isArray(edge) ? edge : [edge.from, edge.to];
+            if (!nodes.has(from) || !nodes.has(to)) {
+                console.warn(`Skipping walkway edge ${from} -> ${to}: unknown node`);
+                return;
+            }
+            const a = nodes.get(from);
+            const b = nodes.get(to);
+            const length = Math.hypot(a.x - b.x, a.y - b.y);
+            edges.push({ from, to, length });
+            adjacency.get(from).push({ to, length });
+            adjacency.get(to).push({ to: from, length });
+        });
+
+        this.walkways = { nodes, edges, adjacency };
+        console.log(`Walkways: ${nodes.size} nodes, ${edges.length} edges`);
+        return this.walkways;
+    }
+
+    /**
+     * Entrance points of the walkway graph ({ id, x, y, entrance: label })
+     */
+    getEntrances() {
+        if (!this.walkways) return [];
+        return Array.from(this.walkways.nodes.values()).filter(node => node.entrance);
+    }
+
+    /**
+     * Turn a route endpoint into map coordinates
+     * @param {Object|string} target - { x, y }, a walkway node ID, a mount ID, a layout element ID or an easel board
+     * @returns {Object|null} { x, y, nodeId? }
+     */
+    resolveRoutePoint(target) {
+        if (target && typeof target === 'object') {
+            return Number.isFinite(target.x) && Number.isFinite(target.y) ? { x: target.x, y: target.y } : null;
+        }
+        if (typeof target !== 'string' || !target) {
+            return null;
+        }
+
+        const node = this.walkways?.nodes.get(target);
+        if (node) {
+            return { x: node.x, y: node.y, nodeId: node.id };
+        }
+
+        const mount = this.mounts.find(entry => entry.mountId === target);
+        if (mount) {
+            return { x: mount.xCoord, y: mount.yCoord };
+        }
+
+        const element = this.layoutElements.get(target);
+        if (element && element.position) {
+            return { x: element.position.x, y: element.position.y };
+        }
+
+        const poster = this.posters.find(entry => entry.easelBoard === target);
+        const posterMount = poster && this.mounts.find(entry => entry.mountId === poster.mountId);
+        if (posterMount) {
+            return { x: posterMount.xCoord, y: posterMount.yCoord };
+        }
+
+        return null;
+    }
+
+    findNearestWalkwayNode(point) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.walkways.nodes.forEach(node => {
+            const distance = Math.hypot(node.x - point.x, node.y - point.y);
+            if (distance < nearestDistance) {
+                nearest = node;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Shortest walking route between two points (Dijkstra over the walkway graph).
+     * Each end joins the graph at its nearest node; without a walkway graph the route is a straight line.
+     * @param {Object|string} from - See resolveRoutePoint()
+     * @param {Object|string} to - See resolveRoutePoint()
+     * @returns {Object|null} { points: [{ x, y }], length, nodes: [nodeId] }, or null if either end is unknown
+     *                        or the two ends are not connected
+     */
+    findRoute(from, to) {
+        const start = this.resolveRoutePoint(from);
+        const end = this.resolveRoutePoint(to);
+        if (!start || !end) {
+            console.warn('findRoute: unknown route endpoint', !start ? from : to);
+            return null;
+        }
+
+        const straight = () => ({
+            points: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+            length: Math.hypot(end.x - start.x, end.y - start.y),
+            nodes: []
+        });
+
+        if (!this.walkways || this.walkways.nodes.size === 0) {
+            return straight();
+        }
+
+        const startNode = start.nodeId ? this.walkways.nodes.get(start.nodeId) : this.findNearestWalkwayNode(start);
+        const endNode = end.nodeId ? this.walkways.nodes.get(end.nodeId) : this.findNearestWalkwayNode(end);
+        if (startNode === endNode) {
+            // Both ends are next to the same node, i.e. in the same open area
+            return straight();
+        }
+
+        const distances = new Map([[startNode.id, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+
+        while (true) {
+            let current = null;
+            distances.forEach((distance, id) => {
+                if (!visited.has(id) && (current === null || distance < distances.get(current))) {
+                    current = id;
+                }
+            });
+            if (current === null || current === endNode.id) {
+                break;
+            }
+            visited.add(current);
+
+            this.walkways.adjacency.get(current).forEach(({ to: neighbor, length }) => {
+                const candidate = distances.get(current) + length;
+                if (!visited.has(neighbor) && candidate < (distances.has(neighbor) ? distances.get(neighbor) : Infinity)) {
+                    distances.set(neighbor, candidate);
+                    previous.set(neighbor, current);
+                }
+            });
+        }
+
+        if (!distances.has(endNode.id)) {
+            console.warn(`findRoute: no walkway connects ${startNode.id} and ${endNode.id}`);
+            return null;
+        }
+
+        const nodeIds = [endNode.id];
+        while (nodeIds[0] !== startNode.id) {
+            nodeIds.unshift(previous.get(nodeIds[0]));
+        }
+
+        const points = [{ x: start.x, y: start.y }];
+        nodeIds.forEach(id => {
+            const node = this.walkways.nodes.get(id);
+            points.push({ x: node.x, y: node.y });
+        });
+        points.push({ x: end.x, y: end.y });
+
+        // Drop repeated points (e.g. when an end is a walkway node itself)
+        const route = points.filter((point, i) => i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y);
+        let length = 0;
+        for (let i = 1; i < route.length; i++) {
+            length += Math.hypot(route[i].x - route[i - 1].x, route[i].y - route[i - 1].y);
+        }
+
+        return { points: route, length, nodes: nodeIds };
+    }
+
+    /**
+     * Draw a route on the route layer (under the poster markers), replacing any previous one
+     * @param {Object|Array} route - findRoute() result or a list of { x, y } points
+     * @param {Object} [options]
+     * @param {boolean} [options.animate] - Move the dashes along the route (default true, off with reduced motion)
+     * @param {string} [options.color] - Line color
+     * @returns {SVGElement|null} The route group
+     */
+    showRoute(route, options = {}) {
+        if (!this.routeLayer) return null;
+
+        const { animate = true, color = '#007FA3' } = options;
+        const points = Array.isArray(route) ? route : route?.points;
+        this.clearRoute();
+        if (!points || points.length < 2) {
+            return null;
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const pointList = points.map(point => `${point.x},${point.y}`).join(' ');
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('class', 'walking-route');
+
+        // White casing keeps the line readable over buildings and the plaza
+        const casing = document.createElementNS(svgNS, 'polyline');
+        casing.setAttribute('points', pointList);
+        casing.setAttribute('fill', 'none');
+        casing.setAttribute('stroke', 'white');
+        casing.setAttribute('stroke-width', 9);
+        casing.setAttribute('stroke-linecap', 'round');
+        casing.setAttribute('stroke-linejoin', 'round');
+        casing.setAttribute('opacity', 0.8);
+
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('class', 'walking-route__line');
+        line.setAttribute('points', pointList);
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', 5);
+        line.setAttribute('stroke-linecap', 'round');
+        line.setAttribute('stroke-linejoin', 'round');
+        line.setAttribute('stroke-dasharray', '14 10');
+
+        if (animate && !this.isReducedMotion()) {
+            const dash = document.createElementNS(svgNS, 'animate');
+            dash.setAttribute('attributeName', 'stroke-dashoffset');
+            dash.setAttribute('from', '48');
+            dash.setAttribute('to', '0');
+            dash.setAttribute('dur', '1s');
+            dash.setAttribute('repeatCount', 'indefinite');
+            line.appendChild(dash);
+        }
+
+        group.appendChild(casing);
+        group.appendChild(line);
+
+        [points[0], points[points.length - 1]].forEach((point, i) => {
+            const dot = document.createElementNS(svgNS, 'circle');
+            dot.setAttribute('cx', point.x);
+            dot.setAttribute('cy', point.y);
+            dot.setAttribute('r', 6);
+            dot.setAttribute('fill', i === 0 ? 'white' : color);
+            dot.setAttribute('stroke', color);
+            dot.setAttribute('stroke-width', 3);
+            group.appendChild(dot);
+        });
+
+        this.routeLayer.appendChild(group);
+        return group;
+    }
+
+    clearRoute() {
+        if (!this.routeLayer) return;
+        this.routeLayer.querySelectorAll('.walking-route').forEach(route => route.remove());
+    }
+
+    /**
+     * Show or hide the walkway graph itself (nodes, edges and entrances) for checking data/walkways.json
+     */
+    showWalkwayGraph(visible = true) {
+        if (!this.routeLayer) return;
+
+        const existing = this.routeLayer.querySelector('.walkway-graph');
+        if (existing) {
+            existing.remove();
+        }
+        if (!visible || !this.walkways) {
+            return;
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('class', 'walkway-graph');
+
+        this.walkways.edges.forEach(({ from, to }) => {
+            const a = this.walkways.nodes.get(from);
+            const b = this.walkways.nodes.get(to);
+            const edge = document.createElementNS(svgNS, 'line');
+            edge.setAttribute('x1', a.x);
+            edge.setAttribute('y1', a.y);
+            edge.setAttribute('x2', b.x);
+            edge.setAttribute('y2', b.y);
+            edge.setAttribute('stroke', '#e91e63');
+            edge.setAttribute('stroke-width', 2);
+            edge.setAttribute('opacity', 0.6);
+            group.appendChild(edge);
+        });
+
+        this.walkways.nodes.forEach(node => {
+            const dot = document.createElementNS(svgNS, 'circle');
+            dot.setAttribute('cx', node.x);
+            dot.setAttribute('cy', node.y);
+            dot.setAttribute('r', node.entrance ? 7 : 4);
+            dot.setAttribute('fill', node.entrance ? '#e91e63' : 'white');
+            dot.setAttribute('stroke', '#e91e63');
+            dot.setAttribute('stroke-width', 2);
+
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = node.entrance ? `${node.id} (${node.entrance})` : node.id;
+            dot.appendChild(title);
+            group.appendChild(dot);
+        });
+
+        this.routeLayer.insertBefore(group, this.routeLayer.firstChild);
+    }
+
     /**
      * Clear all elements
      */
@@ -1904,8 +3035,55 @@ class LayoutAPI {
     }
 }
 
-// Make LayoutAPI available globally
-window.LayoutAPI = LayoutAPI;
+// Header names (and accepted aliases) for the poster and mount data files
+LayoutAPI.POSTER_COLUMNS = {
+    category: ['Poster Category', 'Category'],
+    easelBoard: ['Easel Board', 'Easel'],
+    title: ['Poster Title', 'Title'],
+    students: ['Student(s)', 'Students', 'Student'],
+    facultyMentor: ['Faculty/Mentor', 'Faculty Mentor', 'Mentor'],
+    mountId: ['Mount ID', 'Mount'],
+    side: ['Side'],
+    // Optional structured mentor columns (used instead of parsing Faculty/Mentor, see people-parser.js)
+    mentorName: ['Mentor Name', 'Mentor Names', 'Faculty Name'],
+    mentorTitle: ['Mentor Title', 'Mentor Titles', 'Faculty Title'],
+    mentorDepartment: ['Mentor Department'],
+    mentorInstitution: ['Mentor Institution'],
+    mentorDegree: ['Mentor Degree']
+};
+
+LayoutAPI.MOUNT_COLUMNS = {
+    mountId: ['Mount ID', 'Mount'],
+    xCoord: ['X Coordinate', 'X'],
+    yCoord: ['Y Coordinate', 'Y'],
+    orientation: ['Orientation']
+};
+
+// Label look when a label doesn't set its own font, style or halo
+LayoutAPI.LABEL_DEFAULTS = {
+    font: { size: 32, family: 'Arial, sans-serif', weight: 'bold' },
+    style: { fill: '#000' },
+    halo: { color: '#F8F6F0', width: 4 }
+};
+
+// Element settings written by exportLayout() (callbacks such as onClick can't be serialized)
+LayoutAPI.EXPORT_FIELDS = [
+    'name', 'position', 'transform', 'style', 'interactive', 'zIndex',
+    'svgFile', 'shapeType', 'geometry', 'text',
+    'anchor', 'rotation', 'font', 'halo', 'scaleWithZoom',
+    'orientation', 'mountId', 'sideA', 'sideB', 'poster'
+];
+
+// Version of the JSON bundle format written by tools/validate-data.js
+LayoutAPI.BUNDLE_VERSION = 1;
+
+// Make LayoutAPI available globally (and to Node tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutAPI;
+}
+if (typeof window !== 'undefined') {
+    window.LayoutAPI = LayoutAPI;
+}
 
 // Extend the main PosterSessionMap class with layout capabilities
 function extendPosterSessionMap() {
@@ -1920,7 +3098,7 @@ function extendPosterSessionMap() {
 }
 
 // Try to extend immediately
-if (!extendPosterSessionMap()) {
+if (typeof document !== 'undefined' && !extendPosterSessionMap()) {
     // If PosterSessionMap isn't ready, wait for it
     document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => {
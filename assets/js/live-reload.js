@@ -0,0 +1,113 @@
+// Live Data Reload - polls the data files and hands changed contents to the page without a refresh
+class LiveDataReloader {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.urls - Data files to watch, e.g. the poster and mount TSVs
+     * @param {Function} options.onChange - (textsByUrl, changedUrls) => apply the new data; return false
+     *                                      to try again on the next check (e.g. while the page is busy)
+     * @param {number} [options.interval] - Milliseconds between checks (default 60000)
+     * @param {Map} [options.texts] - url -> contents the page already shows. Without them the first
+     *                                check only records the files, so unchanged data isn't re-applied.
+     */
+    constructor(options = {}) {
+        this.urls = options.urls || [];
+        this.onChange = options.onChange;
+        this.interval = options.interval || 60000;
+        this.texts = new Map(options.texts || []); // url -> contents the page last applied
+        this.timer = null;
+        this.pending = null;
+        this.running = false;
+
+        this.handleVisibilityChange = () => {
+            if (this.running && !document.hidden) {
+                this.check();
+            }
+        };
+        this.handleOnline = () => {
+            if (this.running) {
+                this.check();
+            }
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('online', this.handleOnline);
+        this.schedule();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('online', this.handleOnline);
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        if (this.running) {
+            this.timer = setTimeout(() => this.check(), this.interval);
+        }
+    }
+
+    /**
+     * Fetch the data files now and apply them when any changed. Skipped while the tab is hidden.
+     * @returns {Promise<boolean>} Whether new data was applied
+     */
+    check() {
+        if (this.pending) {
+            return this.pending;
+        }
+        if (typeof document !== 'undefined' && document.hidden) {
+            this.schedule();
+            return Promise.resolve(false);
+        }
+
+        this.pending = Promise.all(this.urls.map(url => this.fetchText(url)))
+            .then(texts => {
+                const textsByUrl = new Map(this.urls.map((url, i) => [url, texts[i]]));
+                if (this.texts.size === 0) {
+                    this.texts = textsByUrl;
+                    return false;
+                }
+                const changedUrls = this.urls.filter(url => this.texts.get(url) !== textsByUrl.get(url));
+                if (changedUrls.length === 0) {
+                    return false;
+                }
+
+                if (this.onChange(textsByUrl, changedUrls) === false) {
+                    // Deferred; the same change is seen again at the next check
+                    return false;
+                }
+                this.texts = textsByUrl;
+                return true;
+            })
+            .catch(error => {
+                console.warn('Live reload: could not check the data files:', error);
+                return false;
+            })
+            .finally(() => {
+                this.pending = null;
+                this.schedule();
+            });
+        return this.pending;
+    }
+
+    /**
+     * Revalidate with the server (and the service worker) instead of reading a cached copy
+     */
+    async fetchText(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.text();
+    }
+}
+
+// Make LiveDataReloader available globally
+window.LiveDataReloader = LiveDataReloader;
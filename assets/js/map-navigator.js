@@ -0,0 +1,304 @@
+// Map Navigator - arrow keys between map markers, spoken poster descriptions and a text-only list of the map
+class MapNavigator {
+    /**
+     * @param {SVGElement} map - Map holding the marker circles (.color-marker)
+     * @param {Object} options
+     * @param {Function} options.getMarkers - () => registered markers ({ circle, marker, easelBoardId, coordinates })
+     * @param {Function} options.getPoster - easelBoard => poster
+     * @param {Function} options.getAreas - () => named areas, [{ name, x, y, width, height }] (layout.getAreas)
+     * @param {HTMLElement} options.announcer - aria-live region that reads out the focused poster
+     * @param {Function} [options.getPeople] - poster => { students, mentors } (layout.getPeople)
+     * @param {HTMLElement} [options.list] - Container for the text-only list mode
+     * @param {Function} [options.onMove] - markerData => called before an arrow key focuses a marker,
+     *                                      e.g. to bring it into view
+     * @param {Function} [options.onPosterSelect] - easelBoard => a poster was chosen in the list
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.getMarkers = options.getMarkers;
+        this.getPoster = options.getPoster;
+        this.getAreas = options.getAreas;
+        this.getPeople = options.getPeople || (poster => ({ students: PeopleParser.parseStudents(poster.students), mentors: [] }));
+        this.announcer = options.announcer;
+        this.list = options.list || null;
+        this.onMove = options.onMove || null;
+        this.onPosterSelect = options.onPosterSelect || null;
+
+        this.currentEasel = null; // The one marker Tab stops on
+        this.listVisible = false;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.map.addEventListener('keydown', event => {
+            const direction = MapNavigator.DIRECTIONS[event.key];
+            const markerData = direction && this.findMarker(event.target);
+            if (!markerData || event.altKey || event.ctrlKey || event.metaKey) {
+                return;
+            }
+            event.preventDefault();
+            this.move(markerData, direction);
+        });
+
+        this.map.addEventListener('focusin', event => {
+            const markerData = this.findMarker(event.target);
+            if (markerData) {
+                this.setCurrent(markerData.easelBoardId);
+                this.announce(this.describe(markerData));
+            }
+        });
+
+        if (this.list) {
+            this.list.addEventListener('click', event => {
+                const poster = event.target.closest('[data-poster-easel]');
+                if (poster && this.onPosterSelect) {
+                    this.onPosterSelect(poster.getAttribute('data-poster-easel'));
+                }
+            });
+        }
+    }
+
+    /**
+     * Pick up new markers or filter results: keeps a single Tab stop and re-renders the list
+     */
+    refresh() {
+        this.setCurrent(this.currentEasel);
+        if (this.listVisible) {
+            this.renderList();
+        }
+    }
+
+    findMarker(element) {
+        if (!element || !element.classList || !element.classList.contains('color-marker')) {
+            return null;
+        }
+        return this.getMarkers().find(markerData => markerData.circle === element) || null;
+    }
+
+    /**
+     * Markers that are on the map right now (not hidden by the search or category filters)
+     */
+    getVisibleMarkers() {
+        return this.getMarkers().filter(markerData => markerData.coordinates
+            && !markerData.circle.classList.contains('marker-hidden')
+            && !markerData.marker.classList.contains('marker-hidden'));
+    }
+
+    /**
+     * Roving tab stop: only the current marker is in the Tab order, the arrow keys reach the rest.
+     * Falls back to the top-left visible marker when the current one is gone or filtered out.
+     */
+    setCurrent(easelBoard) {
+        const visible = this.getVisibleMarkers();
+        const current = visible.find(markerData => markerData.easelBoardId === easelBoard)
+            || MapNavigator.sortByReadingOrder(visible)[0];
+        this.currentEasel = current ? current.easelBoardId : null;
+
+        this.getMarkers().forEach(markerData => {
+            markerData.circle.setAttribute('tabindex', markerData === current ? '0' : '-1');
+        });
+    }
+
+    /**
+     * Focus the nearest visible marker in a direction, or say that there is none
+     */
+    move(from, direction) {
+        const next = MapNavigator.findNeighbor(this.getVisibleMarkers(), from, direction);
+        if (!next) {
+            this.announce(`No more posters to the ${direction.name}`);
+            return;
+        }
+
+        this.setCurrent(next.easelBoardId);
+        if (this.onMove) {
+            this.onMove(next);
+        }
+        next.circle.focus({ preventScroll: true });
+    }
+
+    announce(text) {
+        if (this.announcer) {
+            this.announcer.textContent = text;
+        }
+    }
+
+    /**
+     * "B-3: Gene Regulation in Yeast. Students: Sophie Saleh, Jo Park. East side of Strauss Plaza, near Parsons."
+     */
+    describe(markerData) {
+        const poster = this.getPoster(markerData.easelBoardId) || {};
+        const students = PeopleParser.formatNames(this.getPeople(poster).students);
+        const { description } = MapNavigator.locate(markerData.coordinates, this.getAreas());
+
+        return [
+            `${markerData.easelBoardId}: ${poster.title || 'Untitled poster'}`,
+            students ? `Students: ${students}` : '',
+            description ? description.charAt(0).toUpperCase() + description.slice(1) : ''
+        ].filter(Boolean).join('. ') + '.';
+    }
+
+    /**
+     * Show or hide the text-only list of the map
+     */
+    setListVisible(visible) {
+        this.listVisible = Boolean(visible) && Boolean(this.list);
+        if (this.list) {
+            this.list.hidden = !this.listVisible;
+        }
+        if (this.listVisible) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * The visible posters grouped by building and in reading order within each, like on the map
+     */
+    renderList() {
+        const escape = PosterSearch.escapeHtml;
+        const areas = this.getAreas();
+        const groups = new Map();
+
+        MapNavigator.sortByReadingOrder(this.getVisibleMarkers()).forEach(markerData => {
+            const location = MapNavigator.locate(markerData.coordinates, areas);
+            const name = location.area ? location.area.name : 'Other posters';
+            if (!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push({ markerData, location });
+        });
+
+        const names = areas.map(area => area.name).filter(name => groups.has(name));
+        if (groups.has('Other posters')) {
+            names.push('Other posters');
+        }
+
+        const markup = names.map((name, index) => {
+            const headingId = `map-list-area-${index}`;
+            const items = groups.get(name).map(({ markerData, location }) => {
+                const poster = this.getPoster(markerData.easelBoardId) || {};
+                const students = PeopleParser.formatNames(this.getPeople(poster).students);
+                return `
+                    <li>
+                        <button type="button" class="map-list__poster" data-poster-easel="${escape(markerData.easelBoardId)}">
+                            <span class="map-list__easel">${escape(markerData.easelBoardId)}</span>
+                            <span>${escape(poster.title || 'Untitled poster')}</span>
+                        </button>
+                        <span class="map-list__meta">${escape([students, location.description].filter(Boolean).join(' · '))}</span>
+                    </li>
+                `;
+            });
+
+            return `
+                <section class="map-list__group" aria-labelledby="${headingId}">
+                    <h3 class="map-list__heading" id="${headingId}">${escape(name)} <span class="map-list__total">${items.length}</span></h3>
+                    <ul class="map-list__posters">${items.join('')}</ul>
+                </section>
+            `;
+        });
+
+        this.list.innerHTML = markup.join('') || '<p class="map-list__empty">No posters match the current filters</p>';
+    }
+
+    /**
+     * Nearest marker ahead in a direction, within a cone around it; offsets to the side count double
+     * @param {Array} markers - Candidates with coordinates
+     * @param {Object} from - Marker to move from
+     * @param {Object} direction - One of MapNavigator.DIRECTIONS
+     */
+    static findNeighbor(markers, from, direction) {
+        let best = null;
+        let bestScore = Infinity;
+
+        markers.forEach(markerData => {
+            if (markerData === from) return;
+
+            const dx = markerData.coordinates.x - from.coordinates.x;
+            const dy = markerData.coordinates.y - from.coordinates.y;
+            const ahead = dx * direction.x + dy * direction.y;
+            const aside = Math.abs(dx * direction.y - dy * direction.x);
+            if (ahead <= 0 || aside > ahead * 2) return;
+
+            const score = ahead + aside * 2;
+            if (score < bestScore) {
+                best = markerData;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Top to bottom in rows, left to right within a row
+     */
+    static sortByReadingOrder(markers) {
+        const row = markerData => Math.round(markerData.coordinates.y / MapNavigator.ROW_HEIGHT);
+        return markers.slice().sort((a, b) => row(a) - row(b) || a.coordinates.x - b.coordinates.x);
+    }
+
+    /**
+     * Where a point is, relative to the named areas
+     * @returns {Object} { area, description }, e.g. description "east side of Strauss Plaza, near Parsons";
+     *                   area is the area the point is in or closest to
+     */
+    static locate(point, areas) {
+        if (!point || areas.length === 0) {
+            return { area: null, description: '' };
+        }
+
+        const distance = area => Math.hypot(
+            Math.max(area.x - point.x, 0, point.x - (area.x + area.width)),
+            Math.max(area.y - point.y, 0, point.y - (area.y + area.height))
+        );
+        const nearest = areas
+            .map(area => ({ area, distance: distance(area) }))
+            .sort((a, b) => a.distance - b.distance || a.area.width * a.area.height - b.area.width * b.area.height);
+        const [{ area, distance: away }] = nearest;
+        const place = away === 0
+            ? `${MapNavigator.partOf(point, area)} of ${area.name}`
+            : `${MapNavigator.directionFrom(point, area)} of ${area.name}`;
+        const near = nearest.slice(1).find(other => other.distance <= MapNavigator.NEAR_DISTANCE);
+
+        return { area, description: near ? `${place}, near ${near.area.name}` : place };
+    }
+
+    /**
+     * "north-east corner", "east side" or "middle", from the thirds of the area the point falls in
+     */
+    static partOf(point, area) {
+        const third = (value, start, size) => Math.min(2, Math.floor(((value - start) / size) * 3));
+        const row = ['north', '', 'south'][third(point.y, area.y, area.height)];
+        const column = ['west', '', 'east'][third(point.x, area.x, area.width)];
+
+        if (row && column) return `${row}-${column} corner`;
+        if (row || column) return `${row || column} side`;
+        return 'middle';
+    }
+
+    /**
+     * Compass direction from an area to a point outside it: "south", "north-east"
+     */
+    static directionFrom(point, area) {
+        const row = point.y < area.y ? 'north' : point.y > area.y + area.height ? 'south' : '';
+        const column = point.x < area.x ? 'west' : point.x > area.x + area.width ? 'east' : '';
+        return [row, column].filter(Boolean).join('-');
+    }
+}
+
+// Arrow keys as unit steps on the map (north is up)
+MapNavigator.DIRECTIONS = {
+    ArrowUp: { x: 0, y: -1, name: 'north' },
+    ArrowDown: { x: 0, y: 1, name: 'south' },
+    ArrowLeft: { x: -1, y: 0, name: 'west' },
+    ArrowRight: { x: 1, y: 0, name: 'east' }
+};
+
+// Map units between two areas for one to count as "near" a marker in the other
+MapNavigator.NEAR_DISTANCE = 160;
+
+// Markers this close vertically read as one row in the list and for the first Tab stop
+MapNavigator.ROW_HEIGHT = 40;
+
+// Make MapNavigator available globally
+window.MapNavigator = MapNavigator;
@@ -0,0 +1,489 @@
+// Mount Layout Editor - drag, rotate, add and delete mounts, then export Mounts.tsv
+class MountLayoutEditor {
+    /**
+     * @param {LayoutAPI} layout - Layout with the mounts loaded
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.toolbar] - Toolbar with [data-action] buttons and a [data-setting="snap"] checkbox
+     * @param {number} [options.gridSize] - Snap grid spacing in map units
+     * @param {number} [options.guideThreshold] - Distance (map units) at which mounts align to neighbors
+     * @param {Function} [options.onChange] - Called after mounts are rebuilt, added or removed
+     */
+    constructor(layout, options = {}) {
+        this.layout = layout;
+        this.map = layout.map;
+        this.svg = layout.map.svg;
+        this.toolbar = options.toolbar || null;
+        this.gridSize = options.gridSize || 10;
+        this.guideThreshold = options.guideThreshold || 6;
+        this.onChange = options.onChange || (() => {});
+
+        this.enabled = false;
+        this.snapToGrid = true;
+        this.selectedId = null;
+        this.drag = null;
+        this.placeholderIds = new Set(); // Elements added only so empty mounts can be edited
+
+        // Working copy of Mounts.tsv, in file order (refreshed on enable so a live reload isn't lost)
+        this.mounts = new Map();
+
+        this.guideLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.guideLayer.setAttribute('id', 'mount-editor-guides');
+        this.guideLayer.setAttribute('pointer-events', 'none');
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.blockMarkerEvent = this.blockMarkerEvent.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.bindToolbar();
+    }
+
+    /**
+     * Turn edit mode on: mounts become draggable and marker tooltips/selection are suspended
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+
+        this.mounts = new Map();
+        (this.layout.mounts || []).forEach(mount => {
+            this.mounts.set(mount.mountId, { ...mount });
+        });
+        this.addPlaceholderMounts();
+
+        const layer = this.layout.posterLayer;
+        layer.addEventListener('mousedown', this.handlePointerDown, true);
+        layer.addEventListener('touchstart', this.handlePointerDown, { capture: true, passive: false });
+        ['click', 'mouseover', 'mouseenter', 'mouseout', 'mouseleave', 'touchend', 'focus'].forEach(eventName => {
+            layer.addEventListener(eventName, this.blockMarkerEvent, true);
+        });
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.svg.appendChild(this.guideLayer);
+        this.svg.classList.add('mount-editing');
+        if (this.toolbar) {
+            this.toolbar.hidden = false;
+        }
+        this.updateStatus();
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        const layer = this.layout.posterLayer;
+        layer.removeEventListener('mousedown', this.handlePointerDown, true);
+        layer.removeEventListener('touchstart', this.handlePointerDown, { capture: true, passive: false });
+        ['click', 'mouseover', 'mouseenter', 'mouseout', 'mouseleave', 'touchend', 'focus'].forEach(eventName => {
+            layer.removeEventListener(eventName, this.blockMarkerEvent, true);
+        });
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        this.select(null);
+        this.clearGuides();
+        this.removePlaceholderMounts();
+        if (this.guideLayer.parentNode) {
+            this.guideLayer.parentNode.removeChild(this.guideLayer);
+        }
+        this.svg.classList.remove('mount-editing');
+        if (this.toolbar) {
+            this.toolbar.hidden = true;
+        }
+    }
+
+    bindToolbar() {
+        if (!this.toolbar) return;
+
+        this.toolbar.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.getAttribute('data-action');
+                if (action === 'add') this.addMount();
+                if (action === 'rotate') this.rotateSelected();
+                if (action === 'delete') this.deleteSelected();
+                if (action === 'export') this.downloadMountsTSV();
+                if (action === 'close') this.disable();
+            });
+        });
+
+        const snapToggle = this.toolbar.querySelector('[data-setting="snap"]');
+        if (snapToggle) {
+            snapToggle.checked = this.snapToGrid;
+            snapToggle.addEventListener('change', () => {
+                this.snapToGrid = snapToggle.checked;
+            });
+        }
+    }
+
+    /**
+     * Mounts without posters are not drawn on the map; draw them as empty mounts while editing
+     */
+    addPlaceholderMounts() {
+        this.mounts.forEach(mount => {
+            if (this.getElementId(mount.mountId)) return;
+
+            this.layout.addPosterMount({
+                id: mount.mountId,
+                position: { x: mount.xCoord, y: mount.yCoord },
+                orientation: mount.orientation,
+                sideA: this.layout.createEmptySide(),
+                sideB: this.layout.createEmptySide()
+            });
+            this.placeholderIds.add(mount.mountId);
+        });
+    }
+
+    removePlaceholderMounts() {
+        this.placeholderIds.forEach(elementId => this.layout.removeElement(elementId));
+        this.placeholderIds.clear();
+    }
+
+    /**
+     * Find the layout element drawn for a mount (lone markers use their own element IDs)
+     */
+    getElementId(mountId) {
+        for (const [elementId, element] of this.layout.layoutElements) {
+            if (element.type === 'poster-mount' && elementId === mountId) return elementId;
+            if (element.type === 'lone-marker' && element.mountId === mountId) return elementId;
+        }
+        return null;
+    }
+
+    getMountId(elementId) {
+        const element = this.layout.layoutElements.get(elementId);
+        if (!element) return null;
+        return element.type === 'lone-marker' ? element.mountId : elementId;
+    }
+
+    /**
+     * Find the mount element under an event target
+     */
+    findMountElementId(target) {
+        let node = target;
+        while (node && node !== this.layout.posterLayer) {
+            const element = node.id && this.layout.layoutElements.get(node.id);
+            if (element && (element.type === 'poster-mount' || element.type === 'lone-marker')) {
+                return node.id;
+            }
+            node = node.parentNode;
+        }
+        return null;
+    }
+
+    /**
+     * Convert a screen point to map (viewBox) coordinates
+     */
+    clientToMapPoint(clientX, clientY) {
+        const point = this.svg.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const mapPoint = point.matrixTransform(this.svg.getScreenCTM().inverse());
+        return { x: mapPoint.x, y: mapPoint.y };
+    }
+
+    blockMarkerEvent(event) {
+        // Keep marker tooltips and poster selection quiet while editing
+        if (event.type === 'click' && this.findMountElementId(event.target)) {
+            this.select(this.findMountElementId(event.target));
+        }
+        event.stopPropagation();
+    }
+
+    handlePointerDown(event) {
+        const elementId = this.findMountElementId(event.target);
+        if (!elementId) return;
+
+        const isTouch = event.type === 'touchstart';
+        if (isTouch && event.touches.length !== 1) return;
+
+        // Stop the map from panning underneath the drag
+        event.preventDefault();
+        event.stopPropagation();
+
+        const pointer = isTouch ? event.touches[0] : event;
+        const start = this.clientToMapPoint(pointer.clientX, pointer.clientY);
+        const position = this.layout.layoutElements.get(elementId).position;
+
+        this.select(elementId);
+        this.drag = {
+            elementId,
+            isTouch,
+            moved: false,
+            startClient: { x: pointer.clientX, y: pointer.clientY },
+            offset: { x: position.x - start.x, y: position.y - start.y }
+        };
+
+        if (isTouch) {
+            document.addEventListener('touchmove', this.handlePointerMove, { passive: false });
+            document.addEventListener('touchend', this.handlePointerUp);
+            document.addEventListener('touchcancel', this.handlePointerUp);
+        } else {
+            document.addEventListener('mousemove', this.handlePointerMove);
+            document.addEventListener('mouseup', this.handlePointerUp);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.drag) return;
+
+        const pointer = this.drag.isTouch ? event.touches[0] : event;
+        if (!pointer) return;
+        event.preventDefault();
+
+        // Ignore jitter so a tap or click only selects
+        const distance = Math.hypot(pointer.clientX - this.drag.startClient.x, pointer.clientY - this.drag.startClient.y);
+        if (!this.drag.moved && distance < 3) return;
+        this.drag.moved = true;
+
+        const point = this.clientToMapPoint(pointer.clientX, pointer.clientY);
+        const position = this.snapPosition(this.drag.elementId, {
+            x: point.x + this.drag.offset.x,
+            y: point.y + this.drag.offset.y
+        });
+
+        this.layout.updatePosition(this.drag.elementId, position);
+    }
+
+    handlePointerUp() {
+        if (!this.drag) return;
+
+        const { elementId, isTouch, moved } = this.drag;
+        this.drag = null;
+
+        if (isTouch) {
+            document.removeEventListener('touchmove', this.handlePointerMove, { passive: false });
+            document.removeEventListener('touchend', this.handlePointerUp);
+            document.removeEventListener('touchcancel', this.handlePointerUp);
+        } else {
+            document.removeEventListener('mousemove', this.handlePointerMove);
+            document.removeEventListener('mouseup', this.handlePointerUp);
+        }
+
+        this.clearGuides();
+        if (!moved) return;
+
+        const position = this.layout.layoutElements.get(elementId).position;
+        const mount = this.mounts.get(this.getMountId(elementId));
+        if (mount) {
+            mount.xCoord = position.x;
+            mount.yCoord = position.y;
+        }
+        this.commit();
+    }
+
+    handleKeydown(event) {
+        if (!this.selectedId || (event.target.closest && event.target.closest('input, textarea, select'))) return;
+
+        if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            this.deleteSelected();
+        } else if (event.key === 'r' || event.key === 'R') {
+            event.preventDefault();
+            this.rotateSelected();
+        } else if (event.key === 'Escape') {
+            this.select(null);
+        }
+    }
+
+    /**
+     * Snap a dragged position to neighboring mounts (drawing guides) or else to the grid
+     */
+    snapPosition(elementId, position) {
+        const snapped = { x: position.x, y: position.y };
+        let alignedX = null;
+        let alignedY = null;
+
+        this.layout.layoutElements.forEach((element, id) => {
+            if (id === elementId || (element.type !== 'poster-mount' && element.type !== 'lone-marker')) return;
+
+            const other = element.position;
+            if (Math.abs(other.x - position.x) <= this.guideThreshold &&
+                (alignedX === null || Math.abs(other.x - position.x) < Math.abs(alignedX - position.x))) {
+                alignedX = other.x;
+            }
+            if (Math.abs(other.y - position.y) <= this.guideThreshold &&
+                (alignedY === null || Math.abs(other.y - position.y) < Math.abs(alignedY - position.y))) {
+                alignedY = other.y;
+            }
+        });
+
+        const toGrid = value => this.snapToGrid ? Math.round(value / this.gridSize) * this.gridSize : Math.round(value);
+        snapped.x = alignedX !== null ? alignedX : toGrid(position.x);
+        snapped.y = alignedY !== null ? alignedY : toGrid(position.y);
+
+        this.drawGuides(alignedX, alignedY);
+        return snapped;
+    }
+
+    drawGuides(x, y) {
+        this.clearGuides();
+
+        const addGuide = (x1, y1, x2, y2) => {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('class', 'mount-editor-guide');
+            this.guideLayer.appendChild(line);
+        };
+
+        if (x !== null) addGuide(x, 0, x, this.map.baseHeight);
+        if (y !== null) addGuide(0, y, this.map.baseWidth, y);
+    }
+
+    clearGuides() {
+        while (this.guideLayer.firstChild) {
+            this.guideLayer.removeChild(this.guideLayer.firstChild);
+        }
+    }
+
+    select(elementId) {
+        if (this.selectedId) {
+            const previous = this.layout.layoutElements.get(this.selectedId);
+            if (previous) previous.element.classList.remove('mount-selected');
+        }
+
+        this.selectedId = elementId && this.layout.layoutElements.has(elementId) ? elementId : null;
+        if (this.selectedId) {
+            this.layout.layoutElements.get(this.selectedId).element.classList.add('mount-selected');
+        }
+        this.updateStatus();
+    }
+
+    rotateSelected() {
+        if (!this.selectedId) return;
+
+        const element = this.layout.layoutElements.get(this.selectedId);
+        const orientation = element.orientation === 'horizontal' ? 'vertical' : 'horizontal';
+        this.layout.updateMount(this.selectedId, { orientation });
+
+        const mount = this.mounts.get(this.getMountId(this.selectedId));
+        if (mount) {
+            mount.orientation = orientation;
+        }
+
+        this.select(this.selectedId);
+        this.commit();
+    }
+
+    deleteSelected() {
+        if (!this.selectedId) return;
+
+        const element = this.layout.layoutElements.get(this.selectedId);
+        const mountId = this.getMountId(this.selectedId);
+        const easels = element.type === 'lone-marker'
+            ? [element.poster.easelBoard]
+            : [element.sideA.easelBoard, element.sideB.easelBoard].filter(easel => easel && easel !== 'Unassigned');
+
+        if (easels.length > 0 &&
+            !window.confirm(`Mount ${mountId} holds ${easels.join(' and ')}. Delete it anyway?`)) {
+            return;
+        }
+
+        const elementId = this.selectedId;
+        this.select(null);
+        this.layout.removeElement(elementId);
+        this.placeholderIds.delete(elementId);
+        this.mounts.delete(mountId);
+        this.commit();
+    }
+
+    /**
+     * Add an empty mount in the middle of the current view
+     */
+    addMount() {
+        const suggestedId = this.suggestMountId();
+        const mountId = (window.prompt('Mount ID for the new mount:', suggestedId) || '').trim();
+        if (!mountId) return;
+
+        if (this.mounts.has(mountId) || this.layout.layoutElements.has(mountId)) {
+            window.alert(`Mount ${mountId} already exists`);
+            return;
+        }
+
+        const view = this.map.getViewState();
+        const position = this.snapPosition(null, { x: view.x, y: view.y });
+        this.clearGuides();
+
+        this.mounts.set(mountId, { mountId, xCoord: position.x, yCoord: position.y, orientation: 'vertical' });
+        this.layout.addPosterMount({
+            id: mountId,
+            position,
+            orientation: 'vertical',
+            sideA: this.layout.createEmptySide(),
+            sideB: this.layout.createEmptySide()
+        });
+        this.placeholderIds.add(mountId);
+
+        this.select(mountId);
+        this.commit();
+    }
+
+    suggestMountId() {
+        let index = this.mounts.size + 1;
+        let candidate;
+        do {
+            candidate = `N${String(index).padStart(3, '0')}`;
+            index++;
+        } while (this.mounts.has(candidate));
+        return candidate;
+    }
+
+    /**
+     * Keep the layout's mount list in sync and let the page refresh anything built from it
+     */
+    commit() {
+        this.layout.mounts = this.getMounts();
+        this.updateStatus();
+        this.onChange(this.layout.mounts);
+    }
+
+    getMounts() {
+        return Array.from(this.mounts.values()).map(mount => ({ ...mount }));
+    }
+
+    /**
+     * Serialize the edited mounts in Mounts.tsv format
+     */
+    toTSV() {
+        const header = ['Mount ID', 'X Coordinate', 'Y Coordinate', 'Orientation'];
+        const rows = this.getMounts().map(mount => [
+            mount.mountId,
+            Math.round(mount.xCoord),
+            Math.round(mount.yCoord),
+            mount.orientation
+        ]);
+        return [header].concat(rows).map(row => row.join('\t')).join('\n') + '\n';
+    }
+
+    downloadMountsTSV() {
+        const blob = new Blob([this.toTSV()], { type: 'text/tab-separated-values' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'Mounts.tsv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    updateStatus() {
+        const status = this.toolbar && this.toolbar.querySelector('[data-role="status"]');
+        if (!status) return;
+
+        if (!this.selectedId) {
+            status.textContent = `${this.mounts.size} mounts · drag to move`;
+            return;
+        }
+
+        const mount = this.mounts.get(this.getMountId(this.selectedId));
+        status.textContent = mount
+            ? `${mount.mountId} (${Math.round(mount.xCoord)}, ${Math.round(mount.yCoord)}) ${mount.orientation}`
+            : this.selectedId;
+    }
+}
+
+// Make MountLayoutEditor available globally
+window.MountLayoutEditor = MountLayoutEditor;
@@ -0,0 +1,206 @@
+// People Directory - every student and mentor across the posters, with the posters each of them is on
+class PeopleDirectory {
+    /**
+     * @param {HTMLElement} container - Element to render the directory into
+     * @param {Object} options
+     * @param {Function} options.onSelect - person => show the person's posters on the map; null clears it
+     * @param {Function} [options.onPosterSelect] - easelBoard => select one of the person's posters
+     * @param {HTMLInputElement} [options.filter] - Text field that narrows the list by name
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || null;
+        this.onPosterSelect = options.onPosterSelect || null;
+        this.filter = options.filter || null;
+
+        this.people = [];
+        this.selectedKey = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', event => {
+            const poster = event.target.closest('[data-poster-easel]');
+            if (poster) {
+                if (this.onPosterSelect) {
+                    this.onPosterSelect(poster.getAttribute('data-poster-easel'));
+                }
+                return;
+            }
+
+            const person = event.target.closest('[data-person-key]');
+            if (person) {
+                const key = person.getAttribute('data-person-key');
+                this.select(key === this.selectedKey ? null : key);
+            }
+        });
+
+        if (this.filter) {
+            this.filter.addEventListener('input', () => this.render());
+        }
+    }
+
+    /**
+     * Rebuild the list from the posters, keeping the selected person when they are still listed
+     * @param {Array} posters - Parsed posters (layout.posters)
+     * @param {Function} getPeople - poster => { students, mentors } (layout.getPeople)
+     * @param {Function} splitCategory - category => [discipline] (layout.splitCategory)
+     */
+    setPosters(posters, getPeople, splitCategory) {
+        this.people = PeopleDirectory.buildPeople(posters, getPeople, splitCategory);
+        if (this.selectedKey && !this.getPerson(this.selectedKey)) {
+            this.selectedKey = null;
+        }
+        this.render();
+    }
+
+    getPerson(key) {
+        return this.people.find(person => person.key === key) || null;
+    }
+
+    getSelected() {
+        return this.selectedKey ? this.getPerson(this.selectedKey) : null;
+    }
+
+    /**
+     * Select a person (or null) and tell the page
+     */
+    select(key) {
+        this.selectedKey = key && this.getPerson(key) ? key : null;
+        this.render();
+        if (this.onSelect) {
+            this.onSelect(this.getSelected());
+        }
+    }
+
+    /**
+     * Forget the selection without notifying the page, e.g. once a table row takes over the map
+     */
+    clearSelection() {
+        if (this.selectedKey) {
+            this.selectedKey = null;
+            this.render();
+        }
+    }
+
+    render() {
+        const query = this.filter ? this.filter.value.trim() : '';
+        const groups = PeopleDirectory.GROUPS.map(({ type, label }) => {
+            const items = this.people
+                .filter(person => person.type === type)
+                .map(person => ({ person, match: query ? PosterSearch.matchText(query, person.name) : { ranges: [] } }))
+                .filter(({ match }) => match);
+            if (items.length === 0) {
+                return '';
+            }
+
+            const headingId = `people-directory-${type}`;
+            return `
+                <section class="people-directory__group" aria-labelledby="${headingId}">
+                    <h3 class="people-directory__heading" id="${headingId}">${label} <span class="people-directory__total">${items.length}</span></h3>
+                    <ul class="people-directory__list">
+                        ${items.map(({ person, match }) => this.renderPerson(person, match.ranges)).join('')}
+                    </ul>
+                </section>
+            `;
+        });
+
+        const markup = groups.join('');
+        this.container.innerHTML = markup || '<p class="people-directory__empty">No matching people</p>';
+    }
+
+    renderPerson(person, ranges) {
+        const escape = PosterSearch.escapeHtml;
+        const selected = person.key === this.selectedKey;
+        const count = `${person.posters.length} poster${person.posters.length === 1 ? '' : 's'}`;
+        const postersId = `people-directory-posters-${this.people.indexOf(person)}`;
+        const posters = selected ? `
+            <ul class="people-directory__posters" id="${postersId}">
+                ${person.posters.map(poster => `
+                    <li>
+                        <button type="button" class="people-directory__poster" data-poster-easel="${escape(poster.easelBoard)}">
+                            <span class="people-directory__easel">${escape(poster.easelBoard)}</span>
+                            <span>${escape(poster.title || 'Untitled poster')}</span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        return `
+            <li class="people-directory__item${selected ? ' people-directory__item--selected' : ''}">
+                <button type="button" class="people-directory__person" data-person-key="${escape(person.key)}"
+                        aria-expanded="${selected}"${selected ? ` aria-controls="${postersId}"` : ''}>
+                    <span class="people-directory__name">${PosterSearch.highlight(person.name, ranges)}</span>
+                    <span class="people-directory__meta">${count} · ${escape(person.categories.join(', '))}</span>
+                </button>
+                ${posters}
+            </li>
+        `;
+    }
+
+    /**
+     * One entry per student and per mentor. Spellings of one name ("Sarah C. Kavassalis" and
+     * "Sarah Kavassalis", "Andrés" and "Andres") are merged under the most used one.
+     * @returns {Array} [{ key, type: 'student'|'mentor', name, mentor, posters: [poster], categories: [name] }]
+     */
+    static buildPeople(posters, getPeople, splitCategory) {
+        const people = new Map();
+        const add = (type, name, poster, mentor) => {
+            const key = `${type}:${PeopleDirectory.nameKey(name)}`;
+            if (!people.has(key)) {
+                people.set(key, { key, type, names: new Map(), mentor: null, posters: [], categories: [] });
+            }
+            const person = people.get(key);
+            person.names.set(name, (person.names.get(name) || 0) + 1);
+            person.mentor = person.mentor || mentor || null;
+            if (!person.posters.includes(poster)) {
+                person.posters.push(poster);
+            }
+            splitCategory(poster.category).forEach(category => {
+                if (!person.categories.includes(category)) {
+                    person.categories.push(category);
+                }
+            });
+        };
+
+        posters.forEach(poster => {
+            if (!poster.easelBoard) return;
+            const { students, mentors } = getPeople(poster);
+            students.forEach(name => add('student', name, poster, null));
+            mentors.forEach(mentor => add('mentor', mentor.name, poster, mentor));
+        });
+
+        return Array.from(people.values())
+            .map(({ names, ...person }) => {
+                const [name] = Array.from(names.entries()).sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0];
+                person.posters.sort((a, b) => a.easelBoard.localeCompare(b.easelBoard, undefined, { numeric: true }));
+                return { ...person, name };
+            })
+            .sort((a, b) => PeopleDirectory.sortName(a.name).localeCompare(PeopleDirectory.sortName(b.name)));
+    }
+
+    /**
+     * "Andrés R. Vindas Meléndez" -> "andres vindas melendez" (accents, case and initials dropped)
+     */
+    static nameKey(name) {
+        return PosterSearch.fold(name).split(/\s+/).filter(word => word.length > 1).join(' ');
+    }
+
+    /**
+     * Sort by last name: "Dan Stoebel" -> "stoebel dan"
+     */
+    static sortName(name) {
+        const words = PosterSearch.fold(name).trim().split(/\s+/);
+        return [words[words.length - 1]].concat(words.slice(0, -1)).join(' ');
+    }
+}
+
+PeopleDirectory.GROUPS = [
+    { type: 'mentor', label: 'Mentors' },
+    { type: 'student', label: 'Students' }
+];
+
+// Make PeopleDirectory available globally
+window.PeopleDirectory = PeopleDirectory;
@@ -0,0 +1,269 @@
+// People Parser - turns the Student(s) and Faculty/Mentor fields into lists of structured people
+class PeopleParser {
+    /**
+     * Students and mentors of a poster
+     * @param {Object} record - { students, facultyMentor } plus the optional mentor columns
+     *                          (mentorName, mentorTitle, ... see LayoutAPI.POSTER_COLUMNS)
+     * @returns {Object} { students: ['Name', ...], mentors: [{ name, honorific, classYear, titles,
+     *                   department, institution, degree, raw }, ...] }
+     */
+    static fromRecord(record) {
+        return {
+            students: PeopleParser.parseStudents(record.students),
+            mentors: record.mentorName ? PeopleParser.fromColumns(record) : PeopleParser.parseMentors(record.facultyMentor)
+        };
+    }
+
+    /**
+     * "Sophie Saleh, Molly McPhail and Jo Park" -> ['Sophie Saleh', 'Molly McPhail', 'Jo Park']
+     */
+    static parseStudents(text) {
+        return String(text || '')
+            .split(/,|;|&|\n|\band\b/)
+            .map(name => name.replace(/\s+/g, ' ').trim())
+            .filter(name => name && name !== 'N/A');
+    }
+
+    /**
+     * Mentors from the dedicated columns. Several mentors are separated by ";" in every column
+     * (a single value applies to all of them), several titles of one mentor by "|".
+     */
+    static fromColumns(record) {
+        const list = value => String(value || '').split(';').map(item => item.trim());
+        const names = list(record.mentorName);
+        const columns = {
+            titles: list(record.mentorTitle),
+            department: list(record.mentorDepartment),
+            institution: list(record.mentorInstitution),
+            degree: list(record.mentorDegree)
+        };
+        const pick = (values, index) => (values.length === 1 ? values[0] : values[index] || '');
+
+        return names
+            .map((name, index) => {
+                const mentor = PeopleParser.parseName(name);
+                mentor.titles = pick(columns.titles, index).split('|').map(title => title.trim()).filter(Boolean);
+                mentor.department = pick(columns.department, index);
+                mentor.institution = pick(columns.institution, index);
+                mentor.degree = pick(columns.degree, index);
+                mentor.raw = [name].concat(PeopleParser.describe(mentor)).join(', ');
+                return mentor;
+            })
+            .filter(mentor => mentor.name);
+    }
+
+    /**
+     * Split a free-text Faculty/Mentor value into people, e.g.
+     * "Dan Stoebel,   Professor of Biology   Chair, Department of Biology Harvey Mudd   PhD, Stony Brook University"
+     * -> [{ name: 'Dan Stoebel', titles: ['Professor of Biology', 'Chair, Department of Biology'],
+     *       department: 'Biology', institution: 'Harvey Mudd College', degree: 'PhD, Stony Brook University' }]
+     *
+     * People are separated by ";", "&" or, within a comma-separated list, by a part that starts
+     * with "Dr."/"Prof." or looks like a name once the previous person has an affiliation.
+     */
+    static parseMentors(text) {
+        const source = String(text || '').trim();
+        if (!source || source === 'N/A') {
+            return [];
+        }
+
+        const mentors = [];
+        source.split(/\s*[;&\n]\s*/).forEach(chunk => {
+            const groups = [];
+            let previous = '';
+            PeopleParser.splitParts(chunk).forEach(part => {
+                const current = groups[groups.length - 1];
+                if (!current || PeopleParser.startsPerson(part, current, previous)) {
+                    groups.push({ name: part, rest: [] });
+                } else {
+                    current.rest.push(part);
+                }
+                previous = part;
+            });
+            groups.forEach(group => mentors.push(PeopleParser.parseMentor(group.name, group.rest)));
+        });
+
+        // "Dr. Edward Nguyen & Dr. Michael Sailor, both University of California, San Diego"
+        const shared = mentors.find(mentor => mentor.sharedInstitution);
+        mentors.forEach(mentor => {
+            if (shared && !mentor.institution) {
+                mentor.institution = shared.institution;
+            }
+            delete mentor.sharedInstitution;
+        });
+        return mentors.filter(mentor => mentor.name);
+    }
+
+    /**
+     * Comma-separated parts of one entry; "Dara Walters - Asylum Research." has a dash instead
+     */
+    static splitParts(chunk) {
+        const text = chunk.includes(',') ? chunk : chunk.replace(/\s+-\s+/, ', ');
+        return text.split(',').map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Whether a comma-separated part begins the next person rather than continuing the current one
+     */
+    static startsPerson(part, current, previous) {
+        if (/^(?:Dr|Prof)\.?\s+\p{Lu}/u.test(part)) {
+            return true;
+        }
+        // The current person needs an affiliation first: "Erin Stache, Princeton University"
+        const hasAffiliation = current.rest.length > 0 || current.name.includes('(');
+        // "University of California, San Diego" is one institution
+        const continuesPrevious = /\bof California$/i.test(previous);
+        return hasAffiliation && !continuesPrevious && PeopleParser.looksLikeName(part);
+    }
+
+    /**
+     * Two to four capitalized words without organization or title words: "Andrés Vindas Meléndez"
+     */
+    static looksLikeName(text) {
+        const name = text.replace(/\([^)]*\)/g, '').replace(/['’]\d{2}\b/, '').trim();
+        const words = name.split(/\s+/);
+        return words.length >= 2 && words.length <= 4
+            && words.every(word => /^(?:\p{Lu}\.|\p{Lu}[\p{Ll}'’]+(?:-\p{Lu}?[\p{Ll}'’]+)*)$/u.test(word))
+            && !PeopleParser.NOT_NAME_WORDS.test(name);
+    }
+
+    /**
+     * "Prof. Gregory A. Voth" -> { name: 'Gregory A. Voth', honorific: 'Prof.' },
+     * "Ethan Ritz '12" -> { name: 'Ethan Ritz', classYear: "'12" }
+     */
+    static parseName(text) {
+        let name = String(text || '');
+        let honorific = '';
+        let classYear = '';
+
+        const title = name.match(/^\s*(Dr|Prof|Professor)\.?\s+/i);
+        if (title) {
+            honorific = /^dr$/i.test(title[1]) ? 'Dr.' : 'Prof.';
+            name = name.slice(title[0].length);
+        }
+        const year = name.match(/\s*['’](\d{2})\b/);
+        if (year) {
+            classYear = `'${year[1]}`;
+            name = name.replace(year[0], '');
+        }
+        return { name: name.replace(/\s+/g, ' ').trim(), honorific, classYear };
+    }
+
+    /**
+     * One mentor from their name part and the parts that followed it
+     */
+    static parseMentor(namePart, restParts) {
+        const raw = [namePart].concat(restParts).join(', ');
+
+        // "Maria Klawe (Math for America)", "Jenna Monroy (Dept. Of Natural Sciences)"
+        const aside = (namePart.match(/\(([^)]*)\)/) || [])[1] || '';
+        const mentor = PeopleParser.parseName(namePart.replace(/\([^)]*\)/, ''));
+
+        let rest = restParts.join(', ').replace(/\.$/, '').trim();
+        mentor.sharedInstitution = /^both\s+/i.test(rest);
+        rest = rest.replace(/^both\s+/i, '');
+
+        // Everything from the degree on: "PhD, Stanford University, Aerospace Engineering"
+        mentor.degree = '';
+        const degree = rest.match(PeopleParser.DEGREE_PATTERN);
+        if (degree) {
+            mentor.degree = rest.slice(degree.index).trim();
+            rest = rest.slice(0, degree.index).trim();
+        }
+
+        mentor.institution = '';
+        const home = rest.match(PeopleParser.HOME_PATTERN);
+        if (home) {
+            mentor.institution = PeopleParser.HOME_INSTITUTION;
+            rest = rest.slice(0, home.index);
+        } else if (rest && !PeopleParser.TITLE_WORDS.test(rest)) {
+            mentor.institution = rest;
+            rest = '';
+        }
+
+        // Titles are separated by runs of spaces; a trailing "... Clinic Director" is a title of its own
+        mentor.titles = rest
+            .split(/\s{2,}/)
+            .map(title => title.replace(/^[\s,]+|[\s,]+$/g, ''))
+            .filter(Boolean)
+            .reduce((titles, title) => titles.concat(title
+                .replace(/^(.*\bProfessor\s+(?:of|in)\s+.+?)\s+((?:\p{Lu}\p{Ll}+\s+)+(?:Director|Chair)\b.*)$/u, '$1\n$2')
+                .split('\n')), []);
+
+        const department = [aside].concat(mentor.titles).join('\n')
+            .match(/\b(?:Department|Dept\.?)\s+(?:of|in)\s+([^,\n]+)/i);
+        const subject = mentor.titles.join('\n').match(/\bProfessor\s+(?:of|in)\s+([^\n]+)/);
+        mentor.department = department ? department[1].trim() : subject ? subject[1].trim() : '';
+
+        if (aside && !department && !mentor.institution) {
+            mentor.institution = aside.trim();
+        }
+        mentor.raw = raw;
+        return mentor;
+    }
+
+    /**
+     * A mentor's credentials as lines of text, without repeating the department when a title names it
+     */
+    static describe(mentor) {
+        const lines = mentor.titles.slice();
+        if (mentor.department && !lines.some(line => line.includes(mentor.department))) {
+            lines.push(`Department of ${mentor.department}`);
+        }
+        if (mentor.institution) {
+            lines.push(mentor.institution);
+        }
+        if (mentor.degree) {
+            lines.push(mentor.degree);
+        }
+        return lines;
+    }
+
+    /**
+     * Names for display and search: "Dan Stoebel, Carsten Daub"
+     * @param {Array} people - Student names or mentor objects
+     */
+    static formatNames(people) {
+        return people.map(person => (typeof person === 'string' ? person : person.name)).join(', ');
+    }
+
+    /**
+     * Expandable credentials for the info panel and the table, or '' when there is nothing to expand
+     */
+    static credentialsHtml(mentors) {
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const items = mentors
+            .map(mentor => ({ mentor, lines: PeopleParser.describe(mentor) }))
+            .filter(({ lines }) => lines.length > 0)
+            .map(({ mentor, lines }) => {
+                const name = [mentor.honorific, mentor.name, mentor.classYear].filter(Boolean).join(' ');
+                return `<dt>${escape(name)}</dt>${lines.map(line => `<dd>${escape(line)}</dd>`).join('')}`;
+            });
+        if (items.length === 0) {
+            return '';
+        }
+        return `<details class="people-details"><summary>Credentials</summary><dl>${items.join('')}</dl></details>`;
+    }
+}
+
+PeopleParser.HOME_INSTITUTION = 'Harvey Mudd College';
+
+// "... Professor of Biology Harvey Mudd" / "..., Harvey Mudd College"
+PeopleParser.HOME_PATTERN = /,?\s*\bHarvey Mudd(?: College)?\s*,?\s*$/;
+
+// Where the degree starts: "PhD, Stony Brook University"
+PeopleParser.DEGREE_PATTERN = /(?:^|\s)(?:Ph\.?\s?D|Sc\.?D|Ed\.?D|M\.?D|M\.?S|M\.?A|MBA|B\.?S|B\.?A)\.?(?=[\s,]|$)/;
+
+// Text with one of these is a list of titles, not an institution
+PeopleParser.TITLE_WORDS = /\b(?:Professor|Chair|Director|Fellow|Lecturer|Dean|President|Scientist|Researcher|Postdoc|Instructor)\b/;
+
+// Capitalized words that mean an organization, subject or title rather than a person
+PeopleParser.NOT_NAME_WORDS = /\b(?:University|College|Institute|Institutet|School|Center|Centre|Research|Laboratory|Lab|Technology|Foundation|Systems|Hospital|Clinic|Studio|Engineering|Science|Sciences|Biology|Chemistry|Physics|Mathematics|Professor|Chair|Director|Fellow|Department|Mudd)\b/;
+
+// Make PeopleParser available globally (and to Node tools)
+if (typeof window !== 'undefined') {
+    window.PeopleParser = PeopleParser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PeopleParser;
+}
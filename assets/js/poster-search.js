@@ -0,0 +1,387 @@
+// Poster Search - tokenized, accent-insensitive fuzzy search with field prefixes and match ranges
+class PosterSearch {
+    /**
+     * @param {Array} records - Posters ({ easelBoard, title, students, facultyMentor, mentorDetails, category, extra })
+     * @param {Object} [options]
+     * @param {number} [options.minRelativeScore] - Drop results scoring below this share of the best one (default 0.3)
+     */
+    constructor(records = [], options = {}) {
+        this.minRelativeScore = options.minRelativeScore !== undefined ? options.minRelativeScore : 0.3;
+        this.entries = records.map(record => ({ record, words: this.indexRecord(record) }));
+    }
+
+    /**
+     * Lowercase and strip accents one character at a time, so the result lines up with the
+     * original text index for index. Anything that isn't a letter or digit becomes a space.
+     */
+    static fold(text) {
+        let folded = '';
+        const source = String(text || '');
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (!/[\p{L}\p{N}]/u.test(char)) {
+                folded += ' ';
+                continue;
+            }
+            const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            folded += base.length === 1 ? base : (base[0] || ' ');
+        }
+        return folded;
+    }
+
+    /**
+     * Folded words with their position in the original text
+     * @returns {Array} [{ text, start, end }]
+     */
+    static words(text) {
+        const folded = PosterSearch.fold(text);
+        const words = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(folded)) !== null) {
+            words.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+        return words;
+    }
+
+    /**
+     * Split a query into clauses: plain words, "quoted phrases" and field:terms
+     * (student:, mentor:, title:, cat:, easel: and their aliases, see PosterSearch.FIELDS)
+     * @returns {Array} [{ fields: [field]|null, tokens: [string], phrase: boolean }]
+     */
+    static parseQuery(query) {
+        const clauses = [];
+        const pattern = /(?:([\p{L}]+):)?(?:"([^"]*)"?|(\S+))/gu;
+        let pendingFields = null;
+        let match;
+
+        while ((match = pattern.exec(String(query || ''))) !== null) {
+            // A field prefix on its own ("mentor: stoebel") scopes the next term
+            const bareScope = match[3] && /^\p{L}+:$/u.test(match[3])
+                ? PosterSearch.getScopeFields(match[3].slice(0, -1).toLowerCase())
+                : null;
+            if (bareScope) {
+                pendingFields = bareScope;
+                continue;
+            }
+
+            const scope = match[1] ? match[1].toLowerCase() : null;
+            const fields = scope ? PosterSearch.getScopeFields(scope) : pendingFields;
+            pendingFields = null;
+            const phrase = match[2] !== undefined;
+            // Unknown prefixes ("re:entry") are searched as ordinary text
+            const text = scope && !fields ? match[0] : (phrase ? match[2] : match[3]);
+            const tokens = PosterSearch.words(text).map(word => word.text);
+            if (tokens.length === 0) {
+                continue;
+            }
+
+            if (phrase) {
+                clauses.push({ fields, tokens, phrase: true });
+            } else {
+                // "cs-4" or "o'brien" inside one clause: every part has to match
+                tokens.forEach(token => clauses.push({ fields, tokens: [token], phrase: false }));
+            }
+        }
+        return clauses;
+    }
+
+    static getScopeFields(scope) {
+        const fields = Object.keys(PosterSearch.FIELDS).filter(field => PosterSearch.FIELDS[field].scopes.includes(scope));
+        return fields.length > 0 ? fields : null;
+    }
+
+    /**
+     * Optimal string alignment distance (Levenshtein plus swapped neighbors), giving up above max
+     * @returns {number} The distance, or max + 1 when it is larger than max
+     */
+    static damerauLevenshtein(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) {
+                return max + 1;
+            }
+            previousPrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Typos allowed for a query word: none up to 3 letters, one up to 6, then two
+     */
+    static allowedTypos(token) {
+        return token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+    }
+
+    indexRecord(record) {
+        const words = [];
+        Object.keys(PosterSearch.FIELDS).forEach(field => {
+            const text = record[field];
+            if (!text) return;
+
+            PosterSearch.words(text).forEach(word => words.push({ ...word, field }));
+        });
+        return words;
+    }
+
+    /**
+     * How well one query word matches one indexed word
+     * @param {string} token - Folded query word
+     * @param {Object} word - { text, start, end } from PosterSearch.words()
+     * @param {Object} [options]
+     * @param {boolean} [options.fuzzy] - Allow infix and typo matches (default true)
+     * @param {boolean} [options.infix] - Allow matches inside a word, "bio" in "microbiome" (default true)
+     * @param {boolean} [options.shortPrefix] - Let a single letter match as a prefix (default false)
+     * @returns {Object|null} { score, start, end } with the matched part of the word, or null
+     */
+    static matchWord(token, word, options = {}) {
+        const { fuzzy = true, infix = true, shortPrefix = false } = options;
+        const text = word.text;
+
+        if (text === token) {
+            return { score: 1, start: word.start, end: word.end };
+        }
+        if (text.startsWith(token) && (token.length >= 2 || shortPrefix)) {
+            return { score: 0.75, start: word.start, end: word.start + token.length };
+        }
+        if (!fuzzy) {
+            return null;
+        }
+
+        const infixAt = infix && token.length >= 3 ? text.indexOf(token) : -1;
+        if (infixAt > 0) {
+            return { score: 0.5, start: word.start + infixAt, end: word.start + infixAt + token.length };
+        }
+
+        const maxTypos = PosterSearch.allowedTypos(token);
+        if (maxTypos === 0) {
+            return null;
+        }
+        const distance = PosterSearch.damerauLevenshtein(token, text, maxTypos);
+        if (distance <= maxTypos) {
+            return { score: 0.6 - 0.15 * (distance - 1), start: word.start, end: word.end };
+        }
+        // Still typing a word, with a typo in what's there so far
+        if (text.length > token.length
+            && PosterSearch.damerauLevenshtein(token, text.slice(0, token.length), maxTypos) <= maxTypos) {
+            return { score: 0.4, start: word.start, end: word.start + token.length };
+        }
+        return null;
+    }
+
+    /**
+     * Best score of a clause against an entry, plus every range it matched
+     */
+    matchClause(clause, entry) {
+        const words = entry.words.filter(word => !clause.fields || clause.fields.includes(word.field));
+        const ranges = [];
+        let best = 0;
+
+        if (clause.phrase) {
+            // Consecutive words of one field; the last one may be a prefix
+            for (let i = 0; i + clause.tokens.length <= words.length; i++) {
+                const run = words.slice(i, i + clause.tokens.length);
+                const matches = run.every((word, k) => word.field === run[0].field && (word.text === clause.tokens[k]
+                    || (k === clause.tokens.length - 1 && word.text.startsWith(clause.tokens[k]))));
+                if (matches) {
+                    const weight = PosterSearch.FIELDS[run[0].field].weight;
+                    best = Math.max(best, 1.2 * weight * clause.tokens.length);
+                    ranges.push({ field: run[0].field, start: run[0].start, end: run[run.length - 1].end });
+                }
+            }
+            return best > 0 ? { score: best, ranges } : null;
+        }
+
+        const token = clause.tokens[0];
+        words.forEach(word => {
+            const fieldOptions = PosterSearch.FIELDS[word.field];
+            const match = PosterSearch.matchWord(token, word, {
+                fuzzy: fieldOptions.fuzzy !== false,
+                shortPrefix: word.field === 'easelBoard'
+            });
+            if (!match) return;
+
+            const score = match.score * fieldOptions.weight;
+            best = Math.max(best, score);
+            ranges.push({ field: word.field, start: match.start, end: match.end, score });
+        });
+
+        if (best === 0) {
+            return null;
+        }
+        // Highlight the good matches, not every fuzzy near-miss next to an exact hit
+        return { score: best, ranges: ranges.filter(range => range.score >= best * 0.5) };
+    }
+
+    /**
+     * Match every word of a query against a short text, such as an autocomplete suggestion
+     * @returns {Object|null} { score, ranges: [[start, end], ...] }, or null when a query word doesn't match
+     */
+    static matchText(query, text) {
+        const tokens = PosterSearch.words(query).map(word => word.text);
+        const words = PosterSearch.words(text);
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        let score = 0;
+        const ranges = [];
+        for (const token of tokens) {
+            let best = null;
+            words.forEach(word => {
+                // Suggestions complete words, so no "sto" in "Christopher"
+                const match = PosterSearch.matchWord(token, word, { infix: false, shortPrefix: true });
+                if (match && (!best || match.score > best.score)) {
+                    best = match;
+                }
+            });
+            if (!best) {
+                return null;
+            }
+            score += best.score;
+            ranges.push([best.start, best.end]);
+        }
+
+        // Texts that start with what was typed come first
+        if (words.length > 0 && words[0].text.startsWith(tokens[0])) {
+            score += 0.25;
+        }
+        return { score, ranges };
+    }
+
+    /**
+     * Search the records
+     * @param {string} query - e.g. 'mentor:stoebel cold', 'title:"stress response"', 'easel:CS-4'
+     * @returns {Array} [{ record, score, matches: { field: [[start, end], ...] } }], best first.
+     *                  Every clause has to match; word order doesn't matter.
+     */
+    search(query) {
+        const clauses = PosterSearch.parseQuery(query);
+        if (clauses.length === 0) {
+            return [];
+        }
+
+        const results = [];
+        this.entries.forEach((entry, order) => {
+            let score = 0;
+            const matches = {};
+
+            for (const clause of clauses) {
+                const clauseMatch = this.matchClause(clause, entry);
+                if (!clauseMatch) {
+                    return;
+                }
+                score += clauseMatch.score;
+                clauseMatch.ranges.forEach(range => {
+                    (matches[range.field] = matches[range.field] || []).push([range.start, range.end]);
+                });
+            }
+            results.push({ record: entry.record, score, matches, order });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.order - b.order);
+        const cutoff = results.length > 0 ? results[0].score * this.minRelativeScore : 0;
+        return results.filter(result => result.score >= cutoff)
+            .map(({ order, ...result }) => result);
+    }
+
+    /**
+     * The result to jump to for a query: the poster whose easel board is exactly the query
+     * ("C-1", even though CHC-1 and C-10 also match), the only result, or one that clearly
+     * outranks the rest
+     * @param {Array} results - Ranked results, best first
+     * @param {Object} [options]
+     * @param {string} [options.query] - The query the results are for
+     * @param {number} [options.ratio] - How many times the runner-up's score the best one needs (default 1.5)
+     * @returns {Object|null}
+     */
+    static getClearWinner(results, options = {}) {
+        const { query = '', ratio = 1.5 } = options;
+        if (!results || results.length === 0) {
+            return null;
+        }
+
+        const easel = query.trim().toLowerCase();
+        const exact = easel && results.find(result => result && String(result.record.easelBoard || '').toLowerCase() === easel);
+        if (exact) {
+            return exact;
+        }
+        if (results.length === 1 || results[0].score >= results[1].score * ratio) {
+            return results[0];
+        }
+        return null;
+    }
+
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * HTML for a text with the given ranges wrapped in <mark>
+     * @param {string} text - Original field value
+     * @param {Array} [ranges] - [[start, end], ...] from a search result's matches
+     */
+    static highlight(text, ranges) {
+        const source = String(text || '');
+        if (!ranges || ranges.length === 0) {
+            return PosterSearch.escapeHtml(source);
+        }
+
+        // Merge overlapping and touching ranges
+        const merged = [];
+        ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        let html = '';
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            html += PosterSearch.escapeHtml(source.slice(position, start));
+            html += `<mark>${PosterSearch.escapeHtml(source.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + PosterSearch.escapeHtml(source.slice(position));
+    }
+}
+
+// Searchable fields: the prefixes that scope a search to them, and how much a match counts
+PosterSearch.FIELDS = {
+    easelBoard: { scopes: ['easel', 'board'], weight: 1.5 },
+    title: { scopes: ['title'], weight: 1 },
+    students: { scopes: ['student', 'students', 'author'], weight: 1.2 },
+    facultyMentor: { scopes: ['mentor', 'faculty', 'advisor'], weight: 1.2 }, // Mentor names (PeopleParser)
+    // Mentor titles, departments, institutions and degrees: exact words only, ranked low
+    mentorDetails: { scopes: ['dept', 'department', 'institution'], weight: 0.4, fuzzy: false },
+    category: { scopes: ['cat', 'category'], weight: 1 },
+    extra: { scopes: [], weight: 0.5, fuzzy: false } // Any other table columns
+};
+
+// Make PosterSearch available globally (and to Node tools)
+if (typeof window !== 'undefined') {
+    window.PosterSearch = PosterSearch;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PosterSearch;
+}
@@ -7,6 +7,7 @@ class PosterSessionMap {
         this.infoPanel = document.getElementById('infoPanel');
         this.infoTitle = document.getElementById('infoTitle');
         this.infoDescription = document.getElementById('infoDescription');
+        this.infoPinned = false; // A pinned panel (e.g. a judging score sheet) ignores hover and outside clicks
         this.fullscreenBtn = document.getElementById('toggleFullscreen');
         this.tablePanel = document.getElementById('tablePanel');
         this.fullscreenEnterIcon = `
@@ -40,6 +41,13 @@ class PosterSessionMap {
         this.selectedArea = null;
         this.panAnimationFrame = null;
         this.panAnimationComplete = null;
+        this.zoomTarget = null; // { zoom, panX, panY } a running zoomAt() animation is heading to
+        this.viewChangeListeners = new Set();
+
+        // Motion policy: follows prefers-reduced-motion unless the visitor overrides it in the app
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.motionOverride = null; // 'reduce', 'full' or null to follow the system
+        this.motionChangeListeners = new Set();
 
         this.isMultiTouchGesture = false;
         this.infoAutoHideTimer = null;
@@ -52,6 +60,7 @@ class PosterSessionMap {
         
         this.initializeData();
         this.initializeEventListeners();
+        this.initializeMotionPolicy();
         this.updateFullScreenUI();
         this.renderMap();
     }
@@ -124,7 +133,10 @@ let isPanning = false;
         let pinchStartDistance = 0;
         let pinchStartZoom = this.currentZoom;
         let lastTouchEndTime = 0;
+        let lastTapX = 0;
+        let lastTapY = 0;
         const doubleTapThresholdMs = 350;
+        const doubleTapMaxDistance = 30;
         const velocityConfig = {
             max: 0.75,
             smoothing: 0.22,
@@ -138,6 +150,12 @@ let isPanning = false;
 
         const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
+        const isMapBackground = (target) => Boolean(target && target.closest) &&
+            this.svg.contains(target) &&
+            !target.closest('[data-side]') &&
+            !target.closest('.color-marker') &&
+            !target.closest('[data-point-id]');
+
         const getTouchDistance = (touchA, touchB) => {
             const dx = touchA.clientX - touchB.clientX;
             const dy = touchA.clientY - touchB.clientY;
@@ -149,41 +167,6 @@ let isPanning = false;
             y: (touchA.clientY + touchB.clientY) / 2
         });
 
-        const updatePanForPinch = (targetZoom, centerClientX, centerClientY) => {
-            const rect = this.svg.getBoundingClientRect();
-            if (!rect || rect.width === 0 || rect.height === 0) {
-                this.currentZoom = targetZoom;
-                this.updateViewBox();
-                return;
-            }
-
-            const { x: viewX, y: viewY, width: viewWidth, height: viewHeight } = this.getViewBox();
-            const fractionX = clamp((centerClientX - rect.left) / rect.width, 0, 1);
-            const fractionY = clamp((centerClientY - rect.top) / rect.height, 0, 1);
-
-            const mapCenterX = viewX + viewWidth * fractionX;
-            const mapCenterY = viewY + viewHeight * fractionY;
-
-            const nextViewWidth = this.baseWidth / targetZoom;
-            const nextViewHeight = this.baseHeight / targetZoom;
-
-            const minViewX = 0;
-            const minViewY = 0;
-            const maxViewX = Math.max(minViewX, this.baseWidth - nextViewWidth);
-            const maxViewY = Math.max(minViewY, this.baseHeight - nextViewHeight);
-
-            const desiredViewX = mapCenterX - fractionX * nextViewWidth;
-            const desiredViewY = mapCenterY - fractionY * nextViewHeight;
-
-            const clampedViewX = clamp(desiredViewX, minViewX, maxViewX);
-            const clampedViewY = clamp(desiredViewY, minViewY, maxViewY);
-
-            this.currentZoom = targetZoom;
-            this.panX = (this.baseWidth - nextViewWidth) / 2 - clampedViewX;
-            this.panY = (this.baseHeight - nextViewHeight) / 2 - clampedViewY;
-            this.updateViewBox();
-        };
-
         const startPinch = (touches) => {
             if (!touches || touches.length < 2) {
                 return;
@@ -218,7 +201,7 @@ let isPanning = false;
             const midpoint = getTouchMidpoint(touches[0], touches[1]);
             const scale = distance / pinchStartDistance;
             const targetZoom = clamp(pinchStartZoom * scale, this.minZoom, this.maxZoom);
-            updatePanForPinch(targetZoom, midpoint.x, midpoint.y);
+            this.zoomAt(targetZoom / this.currentZoom, midpoint.x, midpoint.y, { animate: false });
         };
 
         const recordVelocity = (clientX, clientY) => {
@@ -262,9 +245,14 @@ let isPanning = false;
             const appliedMultiplier = this.getPanSpeedMultiplier() * currentPanMultiplier;
             const dx = ((clientX - startX) / this.currentZoom) * appliedMultiplier;
             const dy = ((clientY - startY) / this.currentZoom) * appliedMultiplier;
-            this.panX = initialPanX + dx;
-            this.panY = initialPanY + dy;
+            const desiredPanX = initialPanX + dx;
+            const desiredPanY = initialPanY + dy;
+            this.panX = desiredPanX;
+            this.panY = desiredPanY;
             this.updateViewBox();
+            // Past an edge the view stays put; shift the drag origin so it follows as soon as the pointer turns back
+            initialPanX += this.panX - desiredPanX;
+            initialPanY += this.panY - desiredPanY;
             recordVelocity(clientX, clientY);
         };
 
@@ -276,7 +264,7 @@ let isPanning = false;
             panInputType = 'mouse';
             currentPanMultiplier = 1;
             this.svg.style.cursor = 'grab';
-            if (!options.skipInertia) {
+            if (!options.skipInertia && !this.prefersReducedMotion()) {
                 const sinceLastSample = lastPointerTime ? performance.now() - lastPointerTime : Infinity;
                 if (sinceLastSample <= velocityConfig.flickWindowMs) {
                     const boost = velocityConfig.flickMultiplier;
@@ -425,10 +413,22 @@ let isPanning = false;
             const isSingleFingerRelease = !pinchActive && endedAllTouches && changedTouchCount === 1;
 
             if (isSingleFingerRelease) {
-                if (now - lastTouchEndTime <= doubleTapThresholdMs) {
+                const tap = e.changedTouches[0];
+                const isQuickSecondTap = now - lastTouchEndTime <= doubleTapThresholdMs;
+                if (isQuickSecondTap) {
                     e.preventDefault();
                 }
-                lastTouchEndTime = now;
+
+                // Double-tap on the map (not a marker) zooms in around the tap
+                const isDoubleTap = isQuickSecondTap &&
+                    Math.hypot(tap.clientX - lastTapX, tap.clientY - lastTapY) <= doubleTapMaxDistance &&
+                    isMapBackground(e.target);
+                if (isDoubleTap) {
+                    this.zoomAt(2, tap.clientX, tap.clientY);
+                }
+                lastTouchEndTime = isDoubleTap ? 0 : now;
+                lastTapX = tap.clientX;
+                lastTapY = tap.clientY;
             } else if (endedAllTouches) {
                 lastTouchEndTime = now;
             }
@@ -486,19 +486,20 @@ let isPanning = false;
         });
 
 
-        // Mouse wheel zoom
+        // Mouse wheel zoom, anchored on the cursor
         this.svg.addEventListener('wheel', (e) => {
             e.preventDefault();
-            this.stopPanInertia(true);
-            
-            // Simpler wheel zoom - just zoom in/out from center
             const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-            const newZoom = Math.min(this.maxZoom, Math.max(this.minZoom, this.currentZoom * zoomFactor));
-            
-            if (newZoom !== this.currentZoom) {
-                this.currentZoom = newZoom;
-                this.updateViewBox();
+            this.zoomAt(zoomFactor, e.clientX, e.clientY, { duration: 150 });
+        });
+
+        // Double-click zooms in on the spot, Shift + double-click zooms back out
+        this.svg.addEventListener('dblclick', (e) => {
+            if (!isMapBackground(e.target)) {
+                return;
             }
+            e.preventDefault();
+            this.zoomAt(e.shiftKey ? 0.5 : 2, e.clientX, e.clientY);
         });
 
         // Keyboard navigation
@@ -654,7 +655,42 @@ let isPanning = false;
         return;
     }
 
+    /**
+     * Keep the info panel open with its current content until unpinInfo()
+     * @param {string} [className] - Extra class for the pinned panel's layout
+     */
+    pinInfo(className) {
+        this.infoPinned = true;
+        this.infoPinnedClass = className || null;
+        if (this.infoAutoHideTimer) {
+            clearTimeout(this.infoAutoHideTimer);
+            this.infoAutoHideTimer = null;
+        }
+        if (window.posterInfoTimer) {
+            clearTimeout(window.posterInfoTimer);
+            window.posterInfoTimer = null;
+        }
+        this.infoPanel.classList.add('active', 'info-panel--pinned');
+        if (className) {
+            this.infoPanel.classList.add(className);
+        }
+    }
+
+    unpinInfo() {
+        if (!this.infoPinned) return;
+        this.infoPinned = false;
+        this.infoPanel.classList.remove('info-panel--pinned');
+        if (this.infoPinnedClass) {
+            this.infoPanel.classList.remove(this.infoPinnedClass);
+            this.infoPinnedClass = null;
+        }
+        this.hideInfo();
+    }
+
     hideInfo() {
+        if (this.infoPinned) {
+            return;
+        }
         if (this.infoAutoHideTimer) {
             clearTimeout(this.infoAutoHideTimer);
             this.infoAutoHideTimer = null;
@@ -673,28 +709,89 @@ let isPanning = false;
     }
 
     zoomIn() {
-        this.stopPanInertia(true);
-        this.stopPanAnimation();
-        this.currentZoom = Math.min(this.maxZoom, this.currentZoom * 1.2);
-        this.updateViewBox();
+        this.zoomAt(1.2);
     }
 
     zoomOut() {
+        this.zoomAt(1 / 1.2);
+    }
+
+    /**
+     * Zoom by a factor while keeping the map point under (clientX, clientY) in place on screen,
+     * or around the center of the view when no point is given. Wheel, the zoom buttons, pinch
+     * and double-tap all zoom through here.
+     * @param {number} factor - Above 1 zooms in, below 1 zooms out
+     * @param {number} [clientX] - Focal point in client (screen) coordinates
+     * @param {number} [clientY]
+     * @param {Object} [options]
+     * @param {boolean} [options.animate] - Ease into the new zoom (default true)
+     * @param {number} [options.duration] - Animation length in ms (default 200)
+     */
+    zoomAt(factor, clientX, clientY, options = {}) {
+        if (!Number.isFinite(factor) || factor <= 0) {
+            return;
+        }
+
+        const { animate = true, duration = 200 } = options;
+        // Wheel steps that arrive mid-animation build on where the animation is heading
+        const from = this.zoomTarget || { zoom: this.currentZoom, panX: this.panX, panY: this.panY };
+        const zoom = Math.min(this.maxZoom, Math.max(this.minZoom, from.zoom * factor));
+
+        const rect = this.svg.getBoundingClientRect();
+        const hasFocalPoint = Number.isFinite(clientX) && Number.isFinite(clientY) &&
+            rect && rect.width > 0 && rect.height > 0;
+        const fractionX = hasFocalPoint ? Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1) : 0.5;
+        const fractionY = hasFocalPoint ? Math.min(Math.max((clientY - rect.top) / rect.height, 0), 1) : 0.5;
+
+        // Map point under the focal point now, and the view that keeps it there at the new zoom
+        const width = this.baseWidth / from.zoom;
+        const height = this.baseHeight / from.zoom;
+        const focusX = -from.panX + (this.baseWidth - width) / 2 + width * fractionX;
+        const focusY = -from.panY + (this.baseHeight - height) / 2 + height * fractionY;
+
+        const nextWidth = this.baseWidth / zoom;
+        const nextHeight = this.baseHeight / zoom;
+        const target = this.clampPan(
+            (this.baseWidth - nextWidth) / 2 - (focusX - fractionX * nextWidth),
+            (this.baseHeight - nextHeight) / 2 - (focusY - fractionY * nextHeight),
+            zoom
+        );
+
         this.stopPanInertia(true);
         this.stopPanAnimation();
-        const nextZoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.currentZoom / 1.2));
-        this.currentZoom = nextZoom;
-        this.updateViewBox();
+
+        if (animate && duration > 0) {
+            this.zoomTarget = { zoom, panX: target.panX, panY: target.panY };
+            this.animateView(zoom, target.panX, target.panY, duration, () => {
+                this.zoomTarget = null;
+            });
+        } else {
+            this.currentZoom = zoom;
+            this.panX = target.panX;
+            this.panY = target.panY;
+            this.updateViewBox();
+        }
+    }
+
+    /**
+     * Keep the view inside the map at a zoom level: the viewBox never shows past the map's edges
+     * @returns {Object} { panX, panY } moved back within bounds
+     */
+    clampPan(panX, panY, zoom = this.currentZoom) {
+        const slackX = Math.max(0, this.baseWidth - this.baseWidth / zoom) / 2;
+        const slackY = Math.max(0, this.baseHeight - this.baseHeight / zoom) / 2;
+
+        return {
+            panX: Math.min(Math.max(panX, -slackX), slackX),
+            panY: Math.min(Math.max(panY, -slackY), slackY)
+        };
     }
 
     resetView() {
         this.stopPanInertia(true);
-       this.stopPanAnimation();
-       this.currentZoom = 1;
-       this.panX = 0;
-       this.panY = 0;
-       this.updateViewBox();
-       this.hideInfo();
+        this.stopPanAnimation();
+        this.animateView(1, 0, 0, 300);
+        this.hideInfo();
     }
 
     toggleFullScreen(forceState) {
@@ -729,8 +826,117 @@ let isPanning = false;
     }
 
     updateViewBox() {
+        const clamped = this.clampPan(this.panX, this.panY);
+        this.panX = clamped.panX;
+        this.panY = clamped.panY;
+
         const { x, y, width, height } = this.getViewBox();
         this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        this.notifyViewChange();
+    }
+
+    /**
+     * Current viewport as zoom plus the map coordinates at the center of the view
+     */
+    getViewState() {
+        const { x, y, width, height } = this.getViewBox();
+        return {
+            zoom: this.currentZoom,
+            x: x + width / 2,
+            y: y + height / 2
+        };
+    }
+
+    /**
+     * Restore a viewport produced by getViewState (e.g. from a shared link)
+     * @param {Object} view - { zoom, x, y }; x/y may be omitted to keep the view centered
+     */
+    setViewState(view = {}) {
+        if (!view) {
+            return;
+        }
+
+        this.stopPanInertia(true);
+        this.stopPanAnimation();
+
+        const zoom = Number.isFinite(view.zoom) ? view.zoom : this.currentZoom;
+        this.currentZoom = Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+
+        const centerX = Number.isFinite(view.x) ? view.x : this.baseWidth / 2;
+        const centerY = Number.isFinite(view.y) ? view.y : this.baseHeight / 2;
+        const targetPan = this.calculatePanForCoordinates(centerX, centerY);
+        this.panX = targetPan.panX;
+        this.panY = targetPan.panY;
+        this.updateViewBox();
+    }
+
+    /**
+     * Subscribe to viewport changes (pan, zoom, animations)
+     * @param {Function} listener - Called with getViewState()
+     * @returns {Function} Unsubscribe function
+     */
+    onViewChange(listener) {
+        if (typeof listener !== 'function') {
+            return () => {};
+        }
+        this.viewChangeListeners.add(listener);
+        return () => this.viewChangeListeners.delete(listener);
+    }
+
+    notifyViewChange() {
+        if (!this.viewChangeListeners || this.viewChangeListeners.size === 0) {
+            return;
+        }
+        const viewState = this.getViewState();
+        this.viewChangeListeners.forEach(listener => listener(viewState));
+    }
+
+    initializeMotionPolicy() {
+        if (this.motionQuery && typeof this.motionQuery.addEventListener === 'function') {
+            this.motionQuery.addEventListener('change', () => this.applyMotionPolicy());
+        }
+        this.applyMotionPolicy();
+    }
+
+    /**
+     * True when the map should jump instead of animating: no eased pans or zooms, no inertia
+     * after a drag and no scaling on highlighted markers
+     */
+    prefersReducedMotion() {
+        if (this.motionOverride) {
+            return this.motionOverride === 'reduce';
+        }
+        return Boolean(this.motionQuery && this.motionQuery.matches);
+    }
+
+    /**
+     * Override the system motion setting
+     * @param {string|null} override - 'reduce', 'full', or null to follow prefers-reduced-motion
+     */
+    setMotionOverride(override) {
+        this.motionOverride = override === 'reduce' || override === 'full' ? override : null;
+        this.applyMotionPolicy();
+    }
+
+    applyMotionPolicy() {
+        const reduced = this.prefersReducedMotion();
+        document.body.classList.toggle('reduced-motion', reduced);
+        if (reduced) {
+            this.stopPanInertia(true);
+        }
+        this.motionChangeListeners.forEach(listener => listener(reduced));
+    }
+
+    /**
+     * @param {Function} listener - reduced => called whenever the motion policy changes
+     * @returns {Function} Unsubscribe
+     */
+    onMotionChange(listener) {
+        if (typeof listener !== 'function') {
+            return () => {};
+        }
+        this.motionChangeListeners.add(listener);
+        return () => this.motionChangeListeners.delete(listener);
     }
 
     stopPanAnimation() {
@@ -739,6 +945,7 @@ let isPanning = false;
             this.panAnimationFrame = null;
         }
         this.panAnimationComplete = null;
+        this.zoomTarget = null;
     }
 
     centerOnCoordinates(x, y, options = {}) {
@@ -765,28 +972,104 @@ let isPanning = false;
         }
     }
 
-    calculatePanForCoordinates(x, y) {
-        const width = this.baseWidth / this.currentZoom;
-        const height = this.baseHeight / this.currentZoom;
+    /**
+     * Zoom and pan so a region of the map fills the view, e.g. all of one mentor's posters or
+     * every search result
+     * @param {Object} bounds - { minX, minY, maxX, maxY } or a rect { x, y, width, height } (e.g. getBBox()),
+     *                          in map coordinates
+     * @param {Object} [options]
+     * @param {number} [options.padding] - Map units to keep around the region (default 60)
+     * @param {number} [options.maxZoom] - Zoom limit, so a single poster doesn't fill the screen (default 3)
+     * @param {boolean} [options.animate] - Animate the zoom and pan (default true)
+     * @param {number} [options.duration] - Animation length in ms (default 400)
+     * @param {Function} [options.onComplete]
+     */
+    fitBounds(bounds, options = {}) {
+        if (bounds && !('minX' in bounds) && [bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite)) {
+            bounds = { minX: bounds.x, minY: bounds.y, maxX: bounds.x + bounds.width, maxY: bounds.y + bounds.height };
+        }
+        if (!bounds || ![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) {
+            return;
+        }
 
-        const minX = 0;
-        const minY = 0;
-        const maxX = Math.max(minX, this.baseWidth - width);
-        const maxY = Math.max(minY, this.baseHeight - height);
+        const { padding = 60, maxZoom = 3, animate = true, duration = 400, onComplete } = options;
+        const width = bounds.maxX - bounds.minX + padding * 2;
+        const height = bounds.maxY - bounds.minY + padding * 2;
+        const fitZoom = Math.min(this.baseWidth / width, this.baseHeight / height);
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, maxZoom, fitZoom));
+        const target = this.calculatePanForCoordinates(
+            (bounds.minX + bounds.maxX) / 2,
+            (bounds.minY + bounds.maxY) / 2,
+            zoom
+        );
 
-        const desiredX = x - width / 2;
-        const desiredY = y - height / 2;
+        this.stopPanInertia(true);
+        this.stopPanAnimation();
+
+        if (animate && duration > 0) {
+            this.animateView(zoom, target.panX, target.panY, duration, onComplete);
+        } else {
+            this.currentZoom = zoom;
+            this.panX = target.panX;
+            this.panY = target.panY;
+            this.updateViewBox();
+            if (typeof onComplete === 'function') {
+                onComplete();
+            }
+        }
+    }
+
+    calculatePanForCoordinates(x, y, zoom = this.currentZoom) {
+        const width = this.baseWidth / zoom;
+        const height = this.baseHeight / zoom;
 
-        const clampedX = Math.min(Math.max(desiredX, minX), maxX);
-        const clampedY = Math.min(Math.max(desiredY, minY), maxY);
+        return this.clampPan(
+            (this.baseWidth - width) / 2 - (x - width / 2),
+            (this.baseHeight - height) / 2 - (y - height / 2),
+            zoom
+        );
+    }
+
+    /**
+     * Smallest box around a set of map points, for fitBounds()
+     * @param {Array} points - [{ x, y }]; missing points are skipped
+     * @returns {Object|null} { minX, minY, maxX, maxY }, or null without any points
+     */
+    static boundsOf(points) {
+        const valid = (points || []).filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.y));
+        if (valid.length === 0) {
+            return null;
+        }
 
         return {
-            panX: (this.baseWidth - width) / 2 - clampedX,
-            panY: (this.baseHeight - height) / 2 - clampedY
+            minX: Math.min(...valid.map(point => point.x)),
+            minY: Math.min(...valid.map(point => point.y)),
+            maxX: Math.max(...valid.map(point => point.x)),
+            maxY: Math.max(...valid.map(point => point.y))
         };
     }
 
     animatePan(targetPanX, targetPanY, duration = 300, onComplete) {
+        this.animateView(this.currentZoom, targetPanX, targetPanY, duration, onComplete);
+    }
+
+    /**
+     * Animate zoom and pan together; stopPanAnimation() cancels it like a pan animation.
+     * With reduced motion the view jumps straight to the target.
+     */
+    animateView(targetZoom, targetPanX, targetPanY, duration = 300, onComplete) {
+        if (this.prefersReducedMotion()) {
+            this.currentZoom = targetZoom;
+            this.panX = targetPanX;
+            this.panY = targetPanY;
+            this.updateViewBox();
+            if (typeof onComplete === 'function') {
+                onComplete();
+            }
+            return;
+        }
+
+        const startZoom = this.currentZoom;
         const startPanX = this.panX;
         const startPanY = this.panY;
         const startTime = performance.now();
@@ -799,6 +1082,7 @@ let isPanning = false;
                 ? 2 * progress * progress
                 : -1 + (4 - 2 * progress) * progress;
 
+            this.currentZoom = startZoom + (targetZoom - startZoom) * eased;
             this.panX = startPanX + (targetPanX - startPanX) * eased;
             this.panY = startPanY + (targetPanY - startPanY) * eased;
             this.updateViewBox();
@@ -830,6 +1114,11 @@ let isPanning = false;
     }
 
     startPanInertia() {
+        if (this.prefersReducedMotion()) {
+            this.stopPanInertia(true);
+            return;
+        }
+
         const minVelocity = 0.0012;
         const currentVelocity = Math.hypot(this.panVelocityX, this.panVelocityY);
         if (currentVelocity < minVelocity) {
@@ -846,10 +1135,20 @@ let isPanning = false;
             const dt = time - lastTime;
             lastTime = time;
 
-            this.panX += this.panVelocityX * dt;
-            this.panY += this.panVelocityY * dt;
+            const nextPanX = this.panX + this.panVelocityX * dt;
+            const nextPanY = this.panY + this.panVelocityY * dt;
+            this.panX = nextPanX;
+            this.panY = nextPanY;
             this.updateViewBox();
 
+            // Stop gliding along an axis once the map reaches its edge
+            if (this.panX !== nextPanX) {
+                this.panVelocityX = 0;
+            }
+            if (this.panY !== nextPanY) {
+                this.panVelocityY = 0;
+            }
+
             const decayFactor = Math.pow(decay, dt / 16);
             this.panVelocityX *= decayFactor;
             this.panVelocityY *= decayFactor;
@@ -895,11 +1194,13 @@ function initializeMobileTableScrollFix() {
         return;
     }
 
-    const tableWrapper = tablePanel.querySelector('.table-responsive');
-    if (!tableWrapper) {
-        return;
-    }
+    // The poster table and the people directory each scroll on their own
+    tablePanel.querySelectorAll('.table-responsive').forEach(tableWrapper => {
+        initializeTableScrollWrapper(tablePanel, tableWrapper);
+    });
+}
 
+function initializeTableScrollWrapper(tablePanel, tableWrapper) {
     tableWrapper.addEventListener('touchstart', (ev) => {
         ev.stopPropagation();
     }, { passive: true });
@@ -1043,6 +1344,8 @@ function initializeMobileTableScrollFix() {
 
     const classObserver = new MutationObserver(scheduleUpdate);
     classObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+    // Hidden tab panels measure as empty, so size them again when they are shown
+    classObserver.observe(tableWrapper, { attributes: true, attributeFilter: ['hidden'] });
 
     tablePanel.addEventListener('transitionend', (event) => {
         if (event.target === tablePanel) {
@@ -0,0 +1,321 @@
+// Search Autocomplete - suggestion dropdown for the search bar (ARIA combobox with a grouped listbox)
+class SearchAutocomplete {
+    /**
+     * @param {HTMLInputElement} input - The search field
+     * @param {HTMLElement} listbox - Empty element to render the suggestions into
+     * @param {Object} options
+     * @param {Function} options.getSuggestions - query => [{ type, label, description, ... }], best first
+     * @param {Function} options.onSelect - suggestion => apply it
+     * @param {HTMLElement} [options.status] - aria-live element announcing how many suggestions there are
+     * @param {number} [options.minLength] - Characters to type before suggesting (default 2)
+     */
+    constructor(input, listbox, options = {}) {
+        this.input = input;
+        this.listbox = listbox;
+        this.getSuggestions = options.getSuggestions;
+        this.onSelect = options.onSelect;
+        this.status = options.status || null;
+        this.minLength = options.minLength || 2;
+
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.lastValue = this.input.value;
+
+        const listboxId = this.listbox.id || 'searchSuggestions';
+        this.listbox.id = listboxId;
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.hidden = true;
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', listboxId);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('input', () => {
+            // The page re-dispatches input on every keyup; only a changed value refreshes the list
+            if (this.input.value !== this.lastValue) {
+                this.update();
+            }
+        });
+        this.input.addEventListener('keydown', event => this.handleKeydown(event));
+        this.input.addEventListener('blur', () => this.close());
+
+        // mousedown keeps the focus in the input, so the blur above doesn't close the list first
+        this.listbox.addEventListener('mousedown', event => event.preventDefault());
+        this.listbox.addEventListener('click', event => {
+            const option = event.target.closest('[role="option"]');
+            if (option) {
+                this.select(Number(option.getAttribute('data-index')));
+            }
+        });
+    }
+
+    get isOpen() {
+        return !this.listbox.hidden;
+    }
+
+    /**
+     * Recompute the suggestions for the current input value
+     */
+    update() {
+        this.lastValue = this.input.value;
+        const query = this.input.value.trim();
+        this.suggestions = query.length >= this.minLength ? this.getSuggestions(query) : [];
+        this.activeIndex = -1;
+        this.render();
+
+        if (this.suggestions.length > 0) {
+            this.open();
+        } else {
+            this.close();
+        }
+        if (this.status && query.length >= this.minLength) {
+            const count = this.suggestions.length;
+            this.status.textContent = count === 0 ? 'No suggestions' : `${count} suggestion${count === 1 ? '' : 's'}, use up and down arrows to choose`;
+        }
+    }
+
+    render() {
+        this.listbox.innerHTML = '';
+        let group = null;
+        let groupType = null;
+
+        this.suggestions.forEach((suggestion, index) => {
+            if (suggestion.type !== groupType) {
+                groupType = suggestion.type;
+                const headingId = `${this.listbox.id}-group-${groupType}`;
+                group = document.createElement('div');
+                group.setAttribute('role', 'group');
+                group.setAttribute('aria-labelledby', headingId);
+                group.className = 'search-suggestions__group';
+
+                const heading = document.createElement('div');
+                heading.id = headingId;
+                heading.setAttribute('role', 'presentation');
+                heading.className = 'search-suggestions__heading';
+                heading.textContent = SearchAutocomplete.GROUP_LABELS[groupType] || groupType;
+                group.appendChild(heading);
+                this.listbox.appendChild(group);
+            }
+
+            const option = document.createElement('div');
+            option.id = `${this.listbox.id}-option-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.setAttribute('data-index', index);
+            option.className = 'search-suggestions__option';
+
+            const label = document.createElement('span');
+            label.className = 'search-suggestions__label';
+            label.innerHTML = suggestion.labelHtml || PosterSearch.escapeHtml(suggestion.label);
+            option.appendChild(label);
+
+            if (suggestion.description) {
+                const description = document.createElement('span');
+                description.className = 'search-suggestions__description';
+                description.textContent = suggestion.description;
+                option.appendChild(description);
+            }
+            group.appendChild(option);
+        });
+    }
+
+    open() {
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        this.listbox.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Move the active option (focus stays in the input, aria-activedescendant points at the option)
+     */
+    setActive(index) {
+        const options = this.listbox.querySelectorAll('[role="option"]');
+        this.activeIndex = index;
+        options.forEach((option, i) => {
+            const isActive = i === index;
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            option.classList.toggle('search-suggestions__option--active', isActive);
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                if (typeof option.scrollIntoView === 'function') {
+                    option.scrollIntoView({ block: 'nearest' });
+                }
+            }
+        });
+        if (index < 0) {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (!this.isOpen) {
+                    this.update();
+                    if (!this.isOpen) return;
+                }
+                event.preventDefault();
+                const count = this.suggestions.length;
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                // Wraps around, through "nothing selected"
+                const next = this.activeIndex + step;
+                this.setActive(next >= count ? -1 : next < -1 ? count - 1 : next);
+                break;
+            }
+            case 'Enter':
+                // The search applies as you type, so Enter never needs to submit the form
+                event.preventDefault();
+                if (this.isOpen && this.activeIndex >= 0) {
+                    this.select(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen) {
+                    event.preventDefault();
+                    this.close();
+                }
+                break;
+            case 'Tab':
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    select(index) {
+        const suggestion = this.suggestions[index];
+        if (suggestion && this.onSelect) {
+            this.onSelect(suggestion);
+        }
+        // Whatever onSelect put in the input shouldn't reopen the list
+        this.lastValue = this.input.value;
+        this.close();
+    }
+
+    /**
+     * Students, mentors, easel boards and categories from the parsed posters
+     * @param {Array} posters - Parsed posters (layout.posters)
+     * @param {Function} splitCategory - category => [discipline] (layout.splitCategory)
+     * @returns {Array} [{ type, label, description, easelBoard?, match }]
+     */
+    static buildEntries(posters, splitCategory) {
+        const entries = [];
+        const mentors = new Map();
+        const categories = new Map();
+
+        posters.forEach(poster => {
+            if (!poster.easelBoard) return;
+            const people = poster.people || PeopleParser.fromRecord(poster);
+
+            entries.push({
+                type: 'easel',
+                label: poster.easelBoard,
+                description: poster.title || '',
+                easelBoard: poster.easelBoard,
+                match: `${poster.easelBoard} ${poster.title || ''}`
+            });
+
+            people.students.forEach(name => {
+                entries.push({
+                    type: 'student',
+                    label: name,
+                    description: `${poster.easelBoard} · ${poster.title || ''}`,
+                    easelBoard: poster.easelBoard,
+                    match: name
+                });
+            });
+
+            people.mentors.forEach(({ name }) => {
+                mentors.set(name, (mentors.get(name) || 0) + 1);
+            });
+
+            splitCategory(poster.category).forEach(category => {
+                categories.set(category, (categories.get(category) || 0) + 1);
+            });
+        });
+
+        const countLabel = count => `${count} poster${count === 1 ? '' : 's'}`;
+        mentors.forEach((count, name) => {
+            entries.push({ type: 'mentor', label: name, description: countLabel(count), match: name });
+        });
+        categories.forEach((count, name) => {
+            entries.push({ type: 'category', label: name, description: countLabel(count), match: name });
+        });
+        return entries;
+    }
+
+    /**
+     * Entries matching a query, grouped by type in GROUP_ORDER and best first within each group.
+     * A field prefix ("mentor:sto") limits the suggestions to that group.
+     * @param {Array} entries - From buildEntries()
+     * @param {string} query
+     * @param {number} [perGroup] - Suggestions per group (default 5)
+     */
+    static filterEntries(entries, query, perGroup = 5) {
+        let text = query;
+        let types = null;
+        const scoped = query.match(/^(\p{L}+):\s*"?([^"]*)"?$/u);
+        if (scoped) {
+            const fields = PosterSearch.getScopeFields(scoped[1].toLowerCase());
+            if (fields) {
+                types = fields.map(field => SearchAutocomplete.GROUP_FOR_FIELD[field]).filter(Boolean);
+                text = scoped[2];
+            }
+        }
+
+        const results = [];
+        SearchAutocomplete.GROUP_ORDER.forEach(type => {
+            if (types && !types.includes(type)) return;
+
+            entries
+                .filter(entry => entry.type === type)
+                .map(entry => ({ entry, match: PosterSearch.matchText(text, entry.match) }))
+                .filter(({ match }) => match)
+                .sort((a, b) => b.match.score - a.match.score || a.entry.label.localeCompare(b.entry.label, undefined, { numeric: true }))
+                .slice(0, perGroup)
+                .forEach(({ entry, match }) => {
+                    // Highlight the typed part of the label (easel matches may come from the title)
+                    const labelRanges = match.ranges.filter(([, end]) => end <= entry.label.length);
+                    results.push({ ...entry, labelHtml: PosterSearch.highlight(entry.label, labelRanges) });
+                });
+        });
+        return results;
+    }
+}
+
+SearchAutocomplete.GROUP_ORDER = ['student', 'mentor', 'easel', 'category'];
+
+SearchAutocomplete.GROUP_LABELS = {
+    student: 'Students',
+    mentor: 'Mentors',
+    easel: 'Easel boards',
+    category: 'Categories'
+};
+
+// Which group a PosterSearch field prefix narrows the suggestions to
+SearchAutocomplete.GROUP_FOR_FIELD = {
+    students: 'student',
+    facultyMentor: 'mentor',
+    easelBoard: 'easel',
+    title: 'easel',
+    category: 'category'
+};
+
+// Make SearchAutocomplete available globally
+window.SearchAutocomplete = SearchAutocomplete;
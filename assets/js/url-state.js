@@ -0,0 +1,173 @@
+// URL State for shareable deep links (selected poster, search terms and map viewport)
+class UrlStateManager {
+    constructor(options = {}) {
+        this.viewportDebounceMs = options.viewportDebounceMs || 250;
+        this.viewportTimer = null;
+        this.popStateHandlers = [];
+        this.selectionEntryPushed = false;
+        this.restoreAfterBack = null;
+
+        window.addEventListener('popstate', () => {
+            this.selectionEntryPushed = false;
+
+            if (this.restoreAfterBack) {
+                // We stepped back ourselves; keep the search/viewport the user has now
+                const restored = this.restoreAfterBack;
+                this.restoreAfterBack = null;
+                window.history.replaceState(window.history.state, '', this.buildUrl(restored));
+                return;
+            }
+
+            const state = this.read();
+            this.popStateHandlers.forEach(handler => handler(state));
+        });
+    }
+
+    /**
+     * Parse the current location into app state
+     * @returns {Object} state
+     * @returns {string|null} state.poster - Easel board from `#/poster/<id>`
+     * @returns {string} state.query - Search term from `?q=`
+     * @returns {Array} state.categories - Category filters from repeated `?cat=`
+     * @returns {Object|null} state.view - Viewport from `?zoom=&x=&y=` (x/y are the map coordinates at the view center)
+     */
+    read() {
+        const params = new URLSearchParams(window.location.search);
+        const hashMatch = window.location.hash.match(/^#\/poster\/(.+)$/);
+
+        const zoom = parseFloat(params.get('zoom'));
+        const x = parseFloat(params.get('x'));
+        const y = parseFloat(params.get('y'));
+        const hasView = Number.isFinite(zoom) || (Number.isFinite(x) && Number.isFinite(y));
+
+        return {
+            poster: hashMatch ? decodeURIComponent(hashMatch[1]) : null,
+            query: params.get('q') || '',
+            categories: params.getAll('cat'),
+            view: hasView ? {
+                zoom: Number.isFinite(zoom) ? zoom : 1,
+                x: Number.isFinite(x) ? x : null,
+                y: Number.isFinite(y) ? y : null
+            } : null
+        };
+    }
+
+    /**
+     * Build a URL for the given state, keeping any unrelated query parameters intact
+     */
+    buildUrl(state) {
+        const params = new URLSearchParams(window.location.search);
+
+        if (state.query) {
+            params.set('q', state.query);
+        } else {
+            params.delete('q');
+        }
+
+        params.delete('cat');
+        (state.categories || []).forEach(category => params.append('cat', category));
+
+        if (state.view && state.view.zoom > 1) {
+            params.set('zoom', state.view.zoom.toFixed(2));
+            params.set('x', Math.round(state.view.x));
+            params.set('y', Math.round(state.view.y));
+        } else {
+            params.delete('zoom');
+            params.delete('x');
+            params.delete('y');
+        }
+
+        const search = params.toString();
+        const hash = state.poster ? `#/poster/${encodeURIComponent(state.poster)}` : '';
+        return `${window.location.pathname}${search ? `?${search}` : ''}${hash}`;
+    }
+
+    /**
+     * Merge a partial state into the URL
+     * @param {Object} partial - Any of poster, query, categories, view
+     * @param {Object} [options]
+     * @param {boolean} [options.push] - Create a new history entry instead of replacing the current one
+     */
+    update(partial, options = {}) {
+        const nextState = { ...this.read(), ...partial };
+        const url = this.buildUrl(nextState);
+        const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+        if (url === currentUrl) {
+            return;
+        }
+
+        if (options.push) {
+            window.history.pushState({ posterSession: true }, '', url);
+        } else {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    /**
+     * Record a poster selection. Opening a poster from no selection creates a history
+     * entry so that Back closes the info panel; switching between posters replaces it.
+     */
+    selectPoster(easelBoard) {
+        const current = this.read();
+        if (current.poster === easelBoard) {
+            return;
+        }
+
+        const shouldPush = !current.poster;
+        this.update({ poster: easelBoard }, { push: shouldPush });
+        if (shouldPush) {
+            this.selectionEntryPushed = true;
+        }
+    }
+
+    /**
+     * Record that the selection was cleared from the UI
+     */
+    clearPoster() {
+        if (!this.read().poster) {
+            return;
+        }
+
+        if (this.selectionEntryPushed) {
+            // Step back over the entry we created so Forward can reopen the poster
+            this.selectionEntryPushed = false;
+            this.restoreAfterBack = { ...this.read(), poster: null };
+            window.history.back();
+            return;
+        }
+
+        this.update({ poster: null });
+    }
+
+    setQuery(query) {
+        this.update({ query: query || '' });
+    }
+
+    setCategories(categories) {
+        this.update({ categories: Array.from(categories || []) });
+    }
+
+    /**
+     * Debounced viewport update - pan and zoom fire on every animation frame
+     */
+    scheduleViewUpdate(view) {
+        if (this.viewportTimer) {
+            clearTimeout(this.viewportTimer);
+        }
+
+        this.viewportTimer = setTimeout(() => {
+            this.viewportTimer = null;
+            this.update({ view });
+        }, this.viewportDebounceMs);
+    }
+
+    onPopState(handler) {
+        if (typeof handler === 'function') {
+            this.popStateHandlers.push(handler);
+        }
+    }
+}
+
+// Make UrlStateManager available globally
+window.UrlStateManager = UrlStateManager;
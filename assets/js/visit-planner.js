@@ -0,0 +1,373 @@
+// Visit Planner - orders a set of posters into a short walking tour and steps through it on the map
+class VisitPlanner {
+    /**
+     * @param {LayoutAPI} layout - Layout with the poster markers loaded
+     * @param {Object} options
+     * @param {Function} options.locate - easelBoard => { x, y } map coordinates of its marker, or null
+     * @param {HTMLElement} [options.toolbar] - Toolbar with [data-action] buttons and a [data-role="status"] element
+     * @param {Function} [options.route] - (a, b) => { points, length } walking route between two stops,
+     *                                      e.g. layout.findRoute(); straight lines when omitted
+     * @param {Function} [options.distance] - (a, b) => distance between two stops (route length by default)
+     * @param {Function} [options.onStep] - (stop, index) => show the stop; by default the map centers on it
+     *                                      and opens its tooltip
+     */
+    constructor(layout, options = {}) {
+        this.layout = layout;
+        this.map = layout.map;
+        this.svg = layout.map.svg;
+        this.locate = options.locate;
+        this.toolbar = options.toolbar || null;
+        this.route = options.route || null;
+        this.distance = options.distance || ((a, b) => this.getLeg(a, b).length);
+        this.legCache = new Map(); // "A|B" -> { points, length } for the current plan
+        this.onStep = options.onStep || null;
+
+        this.stops = []; // [{ easelBoard, x, y }] in visiting order
+        this.index = -1;
+        this.active = false;
+        this.replanTimer = null;
+
+        this.tourLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.tourLayer.setAttribute('id', 'visit-tour-layer');
+        this.tourLayer.setAttribute('pointer-events', 'none');
+
+        this.bindToolbar();
+    }
+
+    bindToolbar() {
+        if (!this.toolbar) return;
+
+        this.toolbar.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.getAttribute('data-action');
+                if (action === 'previous') this.previous();
+                if (action === 'next') this.next();
+                if (action === 'close') this.stop();
+            });
+        });
+    }
+
+    /**
+     * Plan and draw a tour through the given posters
+     * @param {Array} easelBoards - Posters to visit, in any order
+     * @param {Object} [options]
+     * @param {boolean} [options.step] - Show the first stop right away (default true)
+     * @returns {Array} The stops in visiting order
+     */
+    plan(easelBoards, options = {}) {
+        const { step = true } = options;
+        this.cancelScheduledPlan();
+        const previousEasel = this.getCurrentStop()?.easelBoard;
+        this.legCache.clear();
+
+        const stops = [];
+        easelBoards.forEach(easelBoard => {
+            const point = this.locate(easelBoard);
+            if (point && Number.isFinite(point.x) && Number.isFinite(point.y)) {
+                stops.push({ easelBoard, x: point.x, y: point.y });
+            } else {
+                console.warn(`Visit planner: no marker for ${easelBoard}, leaving it out of the tour`);
+            }
+        });
+
+        this.stops = this.orderStops(stops);
+        this.active = this.stops.length > 0;
+        this.index = this.active ? Math.max(0, this.stops.findIndex(stop => stop.easelBoard === previousEasel)) : -1;
+
+        this.draw();
+        if (this.toolbar) {
+            this.toolbar.hidden = !this.active;
+        }
+        this.updateStatus();
+
+        if (this.active && step) {
+            this.goTo(this.index);
+        }
+        return this.stops;
+    }
+
+    /**
+     * Re-plan a little later, once a burst of changes (e.g. several stars toggled) has settled.
+     * Calls in the meantime replace the pending one.
+     * @param {Array} easelBoards - Posters to visit
+     * @param {Object} [options] - As for plan()
+     */
+    schedulePlan(easelBoards, options = {}) {
+        this.cancelScheduledPlan();
+        this.replanTimer = setTimeout(() => {
+            this.replanTimer = null;
+            this.plan(easelBoards, options);
+        }, VisitPlanner.REPLAN_DELAY_MS);
+    }
+
+    cancelScheduledPlan() {
+        if (this.replanTimer) {
+            clearTimeout(this.replanTimer);
+            this.replanTimer = null;
+        }
+    }
+
+    /**
+     * Order stops into a short open path: nearest neighbor from a few outlying stops (an open path
+     * usually starts at an edge of the set), then bounded 2-opt on the shortest of those routes
+     * @param {Array} stops - [{ x, y, ... }]
+     * @returns {Array} The same stops, reordered
+     */
+    orderStops(stops) {
+        if (stops.length <= 2) {
+            return stops.slice();
+        }
+
+        const centerX = stops.reduce((sum, stop) => sum + stop.x, 0) / stops.length;
+        const centerY = stops.reduce((sum, stop) => sum + stop.y, 0) / stops.length;
+        const starts = stops
+            .map((stop, index) => ({ index, spread: Math.hypot(stop.x - centerX, stop.y - centerY) }))
+            .sort((a, b) => b.spread - a.spread)
+            .slice(0, VisitPlanner.MAX_STARTS);
+
+        let best = null;
+        let bestLength = Infinity;
+        starts.forEach(({ index }) => {
+            const route = this.nearestNeighborRoute(stops, index);
+            const length = this.getRouteLength(route);
+            if (length < bestLength) {
+                best = route;
+                bestLength = length;
+            }
+        });
+        return this.improveRoute(best);
+    }
+
+    nearestNeighborRoute(stops, startIndex) {
+        const remaining = stops.slice();
+        const route = remaining.splice(startIndex, 1);
+
+        while (remaining.length > 0) {
+            const last = route[route.length - 1];
+            let nearest = 0;
+            for (let i = 1; i < remaining.length; i++) {
+                if (this.distance(last, remaining[i]) < this.distance(last, remaining[nearest])) {
+                    nearest = i;
+                }
+            }
+            route.push(remaining.splice(nearest, 1)[0]);
+        }
+        return route;
+    }
+
+    /**
+     * 2-opt for an open path: reversing route[i..k] only changes the edges entering i and leaving k.
+     * Stops after VisitPlanner.MAX_2OPT_PASSES passes even if a reversal could still help.
+     */
+    improveRoute(route) {
+        const result = route.slice();
+        const edge = (a, b) => (a && b ? this.distance(a, b) : 0);
+        let improved = true;
+        let passes = 0;
+
+        while (improved && passes < VisitPlanner.MAX_2OPT_PASSES) {
+            improved = false;
+            passes++;
+            for (let i = 0; i < result.length - 1; i++) {
+                for (let k = i + 1; k < result.length; k++) {
+                    const before = edge(result[i - 1], result[i]) + edge(result[k], result[k + 1]);
+                    const after = edge(result[i - 1], result[k]) + edge(result[i], result[k + 1]);
+                    if (after < before - 1e-9) {
+                        const reversed = result.slice(i, k + 1).reverse();
+                        result.splice(i, reversed.length, ...reversed);
+                        improved = true;
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Walking route between two stops (cached; routes are symmetric)
+     */
+    getLeg(a, b) {
+        const key = `${a.easelBoard}|${b.easelBoard}`;
+        if (this.legCache.has(key)) {
+            return this.legCache.get(key);
+        }
+
+        const straight = { points: [{ x: a.x, y: a.y }, { x: b.x, y: b.y }], length: Math.hypot(a.x - b.x, a.y - b.y) };
+        const leg = (this.route && this.route(a, b)) || straight;
+        this.legCache.set(key, leg);
+        this.legCache.set(`${b.easelBoard}|${a.easelBoard}`, { points: leg.points.slice().reverse(), length: leg.length });
+        return leg;
+    }
+
+    getRouteLength(route) {
+        let length = 0;
+        for (let i = 1; i < route.length; i++) {
+            length += this.distance(route[i - 1], route[i]);
+        }
+        return length;
+    }
+
+    /**
+     * Draw the tour as a path (along the walking routes) with numbered stops, under the poster markers
+     */
+    draw() {
+        this.tourLayer.innerHTML = '';
+        if (!this.active) {
+            this.detachLayer();
+            return;
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+
+        if (this.stops.length > 1) {
+            const path = document.createElementNS(svgNS, 'path');
+            path.setAttribute('class', 'visit-tour-path');
+            const points = [this.stops[0]];
+            for (let i = 1; i < this.stops.length; i++) {
+                points.push(...this.getLeg(this.stops[i - 1], this.stops[i]).points.slice(1));
+            }
+            path.setAttribute('d', points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' '));
+            path.setAttribute('fill', 'none');
+            path.setAttribute('stroke', '#007FA3');
+            path.setAttribute('stroke-width', 5);
+            path.setAttribute('stroke-linecap', 'round');
+            path.setAttribute('stroke-linejoin', 'round');
+            path.setAttribute('stroke-dasharray', '12 8');
+            path.setAttribute('opacity', 0.75);
+            this.tourLayer.appendChild(path);
+        }
+
+        // Numbers sit above-left of each marker so they stay readable next to it
+        this.stops.forEach((stop, i) => {
+            const badge = document.createElementNS(svgNS, 'g');
+            badge.setAttribute('class', 'visit-stop');
+            badge.setAttribute('data-easel', stop.easelBoard);
+            badge.setAttribute('transform', `translate(${stop.x - 20}, ${stop.y - 20})`);
+
+            const circle = document.createElementNS(svgNS, 'circle');
+            circle.setAttribute('r', 10);
+            circle.setAttribute('stroke', 'white');
+            circle.setAttribute('stroke-width', 2);
+
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('dominant-baseline', 'central');
+            label.setAttribute('font-family', 'Arial, sans-serif');
+            label.setAttribute('font-size', 11);
+            label.setAttribute('font-weight', 'bold');
+            label.setAttribute('fill', 'white');
+            label.textContent = i + 1;
+
+            badge.appendChild(circle);
+            badge.appendChild(label);
+            this.tourLayer.appendChild(badge);
+        });
+
+        // Above the buildings, below the poster layer so markers stay clickable
+        const posterLayer = this.layout.posterLayer;
+        if (posterLayer && posterLayer.parentNode) {
+            posterLayer.parentNode.insertBefore(this.tourLayer, posterLayer);
+        } else {
+            this.svg.appendChild(this.tourLayer);
+        }
+        this.updateCurrentBadge();
+    }
+
+    detachLayer() {
+        if (this.tourLayer.parentNode) {
+            this.tourLayer.parentNode.removeChild(this.tourLayer);
+        }
+    }
+
+    updateCurrentBadge() {
+        this.tourLayer.querySelectorAll('.visit-stop').forEach((badge, i) => {
+            const isCurrent = i === this.index;
+            badge.classList.toggle('visit-stop--current', isCurrent);
+            badge.querySelector('circle').setAttribute('fill', isCurrent ? '#fdb913' : '#007FA3');
+            badge.querySelector('text').setAttribute('fill', isCurrent ? '#000' : 'white');
+        });
+    }
+
+    getCurrentStop() {
+        return this.index >= 0 ? this.stops[this.index] || null : null;
+    }
+
+    /**
+     * Show a stop: center the map on it and open its tooltip
+     */
+    goTo(index) {
+        if (!this.active || index < 0 || index >= this.stops.length) {
+            return null;
+        }
+
+        this.index = index;
+        const stop = this.stops[index];
+        this.updateCurrentBadge();
+        this.updateStatus();
+
+        if (this.onStep) {
+            this.onStep(stop, index);
+        } else {
+            this.map.centerOnCoordinates(stop.x, stop.y, {
+                animate: true,
+                onComplete: () => {
+                    const circle = this.layout.posterLayer.querySelector(`.color-marker[data-easel="${stop.easelBoard}"]`);
+                    if (circle) {
+                        circle.dispatchEvent(new MouseEvent('mouseenter', { bubbles: true, cancelable: true }));
+                    }
+                }
+            });
+        }
+        return stop;
+    }
+
+    next() {
+        return this.goTo(Math.min(this.index + 1, this.stops.length - 1));
+    }
+
+    previous() {
+        return this.goTo(Math.max(this.index - 1, 0));
+    }
+
+    /**
+     * End the tour and remove it from the map
+     */
+    stop() {
+        this.cancelScheduledPlan();
+        this.active = false;
+        this.stops = [];
+        this.index = -1;
+        this.legCache.clear();
+        this.draw();
+        if (this.toolbar) {
+            this.toolbar.hidden = true;
+        }
+    }
+
+    updateStatus() {
+        if (!this.toolbar) return;
+
+        const status = this.toolbar.querySelector('[data-role="status"]');
+        const stop = this.getCurrentStop();
+        if (status) {
+            status.textContent = stop ? `Stop ${this.index + 1} of ${this.stops.length}: ${stop.easelBoard}` : '';
+        }
+
+        const previousButton = this.toolbar.querySelector('[data-action="previous"]');
+        const nextButton = this.toolbar.querySelector('[data-action="next"]');
+        if (previousButton) previousButton.disabled = this.index <= 0;
+        if (nextButton) nextButton.disabled = this.index >= this.stops.length - 1;
+    }
+}
+
+// Nearest-neighbor starts tried by orderStops (the most outlying stops)
+VisitPlanner.MAX_STARTS = 8;
+
+// Upper bound on 2-opt passes over the route, so large tours stay quick to plan
+VisitPlanner.MAX_2OPT_PASSES = 4;
+
+// Wait after a change to the starred posters before re-planning an open tour
+VisitPlanner.REPLAN_DELAY_MS = 300;
+
+// Make VisitPlanner available globally
+window.VisitPlanner = VisitPlanner;
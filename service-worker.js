@@ -0,0 +1,167 @@
+// Service Worker - precaches the app so the map works offline once it has been opened
+//
+// Static files (page, scripts, SVGs, vendored libraries) are served cache-first; bump
+// CACHE_VERSION whenever one of them changes so visitors pick up the new copy.
+// Data files are served stale-while-revalidate: the cached copy answers right away, the
+// network copy replaces it in the background, and open pages are told when it changed.
+
+const CACHE_VERSION = 'v28';
+const STATIC_CACHE = `poster-session-static-${CACHE_VERSION}`;
+const DATA_CACHE = `poster-session-data-${CACHE_VERSION}`;
+
+const STATIC_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/HMC BGW RGB 150dpi.png',
+    'assets/css/table.css',
+    'assets/js/script.js',
+    'assets/js/delimited-parser.js',
+    'assets/js/poster-search.js',
+    'assets/js/search-autocomplete.js',
+    'assets/js/people-directory.js',
+    'assets/js/people-parser.js',
+    'assets/js/category-registry.js',
+    'assets/js/layout-api.js',
+    'assets/js/map-navigator.js',
+    'assets/js/data-validator.js',
+    'assets/js/mount-editor.js',
+    'assets/js/url-state.js',
+    'assets/js/favorites.js',
+    'assets/js/visit-planner.js',
+    'assets/js/judging.js',
+    'assets/js/live-reload.js',
+    'assets/svg/Parsons.svg',
+    'assets/svg/Sprague.svg',
+    'assets/svg/Strauss Plaza.svg',
+    'assets/svg/jacobs-keck.svg',
+    'assets/vendor/jquery/jquery.min.js',
+    'assets/vendor/bootstrap/css/bootstrap.min.css',
+    'assets/vendor/bootstrap/js/bootstrap.min.js',
+    'assets/vendor/bootstrap/fonts/glyphicons-halflings-regular.woff2',
+    'assets/vendor/bootstrap/fonts/glyphicons-halflings-regular.woff'
+];
+
+const DATA_FILES = [
+    'data/Poster_Research_Scholarships.tsv',
+    'data/Mounts.tsv',
+    'data/categories.json',
+    'data/venue-layout.json',
+    'data/walkways.json',
+    'data/judging.json'
+];
+
+const DATA_PATH = new URL('data/', self.registration.scope).pathname;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(STATIC_CACHE).then(cache => cache.addAll(STATIC_FILES)),
+        caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES))
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by older versions
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('poster-session-') && key !== STATIC_CACHE && key !== DATA_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.startsWith(DATA_PATH) && (request.cache === 'no-cache' || request.cache === 'reload')) {
+        // The page asked for the server's copy (live reload)
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith(DATA_PATH)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (request.mode === 'navigate') {
+        // ?edit=1, ?judge=... and #/poster/... links all open the same page
+        event.respondWith(cacheFirst(request, 'index.html'));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Serve from the cache, falling back to (and caching) the network
+ * @param {Request} request
+ * @param {string} [cacheKey] - Cached file to answer with instead of the request URL
+ */
+async function cacheFirst(request, cacheKey) {
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(cacheKey || request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok && !cacheKey) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve the network copy (and keep it for offline use), falling back to the cache when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve the cached data file right away and refresh it from the network in the background.
+ * Pages are sent { type: 'data-updated', url } when the refreshed copy differs from the cached one.
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    // Read the cached body now: the page consumes the response we hand back below
+    const cachedText = cached ? cached.clone().text() : null;
+
+    const refreshed = fetch(request, { cache: 'no-cache' })
+        .then(async (response) => {
+            if (!response.ok) {
+                return response;
+            }
+
+            const changed = cachedText && (await cachedText) !== (await response.clone().text());
+            await cache.put(request, response.clone());
+            if (changed) {
+                console.log('Service worker: data changed,', request.url);
+                const clients = await self.clients.matchAll({ type: 'window' });
+                clients.forEach(client => client.postMessage({ type: 'data-updated', url: request.url }));
+            }
+            return response;
+        })
+        .catch(error => {
+            console.warn('Service worker: offline, using cached', request.url, error);
+            return cached || Response.error();
+        });
+
+    if (cached) {
+        event.waitUntil(refreshed);
+        return cached;
+    }
+    return refreshed;
+}
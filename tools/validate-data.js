@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Validate the poster/mount data files and optionally compile them into one JSON bundle.
+//
+// Usage:
+//   node tools/validate-data.js [--posters FILE] [--mounts FILE] [--out FILE] [--force]
+//
+// Exits 1 when the data has errors (the bundle is not written unless --force is given)
+// and 2 when the files can't be read.
+const fs = require('fs');
+const path = require('path');
+
+// layout-api.js is a browser script; give it the globals it expects
+global.DelimitedParser = require('../assets/js/delimited-parser.js');
+global.CategoryRegistry = require('../assets/js/category-registry.js');
+global.PeopleParser = require('../assets/js/people-parser.js');
+const LayoutAPI = require('../assets/js/layout-api.js');
+const DataValidator = require('../assets/js/data-validator.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULTS = {
+    posters: path.join(ROOT, 'data', 'Poster_Research_Scholarships.tsv'),
+    mounts: path.join(ROOT, 'data', 'Mounts.tsv')
+};
+// Must match PosterSessionMap.baseWidth/baseHeight in assets/js/script.js
+const MAP_SIZE = { width: 1150, height: 1360 };
+
+function printUsage() {
+    console.log([
+        'Usage: node tools/validate-data.js [options]',
+        '',
+        'Options:',
+        `  --posters FILE  Poster TSV (default: ${path.relative(process.cwd(), DEFAULTS.posters)})`,
+        `  --mounts FILE   Mount TSV (default: ${path.relative(process.cwd(), DEFAULTS.mounts)})`,
+        '  --out FILE      Write a normalized JSON bundle for layout.loadPostersFromBundle()',
+        '  --force         Write the bundle even if there are errors',
+        '  --help          Show this message'
+    ].join('\n'));
+}
+
+function parseArgs(argv) {
+    const options = { posters: DEFAULTS.posters, mounts: DEFAULTS.mounts, out: null, force: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const takeValue = () => {
+            const value = argv[++i];
+            if (!value || value.startsWith('--')) {
+                throw new Error(`${arg} needs a file path`);
+            }
+            return value;
+        };
+
+        if (arg === '--posters') {
+            options.posters = takeValue();
+        } else if (arg === '--mounts') {
+            options.mounts = takeValue();
+        } else if (arg === '--out') {
+            options.out = takeValue();
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function printIssues(title, issues) {
+    console.log(`\n${title} (${issues.length})`);
+    issues.forEach(issue => {
+        console.log(`  - ${issue.message}`);
+    });
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        printUsage();
+        return 2;
+    }
+
+    if (options.help) {
+        printUsage();
+        return 0;
+    }
+
+    let posterText;
+    let mountText;
+    try {
+        posterText = fs.readFileSync(options.posters, 'utf8');
+        mountText = fs.readFileSync(options.mounts, 'utf8');
+    } catch (error) {
+        console.error(`Could not read data file: ${error.message}`);
+        return 2;
+    }
+
+    // Same parsing and mount grouping the page uses
+    const layout = new LayoutAPI();
+    const posters = layout.parsePosterTSV(posterText);
+    const mounts = layout.parseMountTSV(mountText);
+    const plans = layout.groupPostersByMount(posters, mounts);
+
+    const report = new DataValidator(MAP_SIZE).validate({
+        posters,
+        mounts,
+        parseErrors: layout.parseErrors
+    });
+    const errors = report.issues.filter(issue => issue.severity === 'error');
+    const warnings = report.issues.filter(issue => issue.severity === 'warning');
+
+    console.log('Poster data check');
+    console.log(`  Posters: ${path.relative(process.cwd(), options.posters)} (${posters.length} posters)`);
+    console.log(`  Mounts:  ${path.relative(process.cwd(), options.mounts)} (${mounts.length} mounts, ${plans.length} with posters)`);
+    printIssues('Errors', errors);
+    printIssues('Warnings', warnings);
+
+    if (options.out) {
+        if (errors.length > 0 && !options.force) {
+            console.log(`\nNot writing ${options.out} because of errors (use --force to write it anyway)`);
+        } else {
+            const bundle = {
+                version: LayoutAPI.BUNDLE_VERSION,
+                generatedAt: new Date().toISOString(),
+                sources: {
+                    posters: path.basename(options.posters),
+                    mounts: path.basename(options.mounts)
+                },
+                posters,
+                mounts
+            };
+            fs.writeFileSync(options.out, JSON.stringify(bundle, null, 2) + '\n');
+            console.log(`\nWrote ${options.out}`);
+        }
+    }
+
+    console.log(errors.length > 0
+        ? `\nFAILED: ${errors.length} errors, ${warnings.length} warnings`
+        : `\nOK: ${warnings.length} warnings`);
+    return errors.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main();